@@ -2,24 +2,47 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import express from 'express';
-import cron from 'node-cron';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import logger from './utils/logger.js';
 import storeConfig from './config/stores.config.js';
 import WooCommerceClient from './services/woocommerce-client.js';
 import MetricsCollector from './services/metrics-collector.js';
+import StoreScheduler from './services/store-scheduler.js';
+import HttpAuth from './middleware/http-auth.js';
+import RateLimiter from './middleware/rate-limiter.js';
+import SecretManager from './services/secret-manager.js';
+import { redact } from './utils/redact.js';
+
+// HTTP status for each store configuration error code
+const STORE_ERROR_STATUS = {
+  STORE_NOT_FOUND: 404,
+  STORE_EXISTS: 409,
+  STORE_READ_ONLY: 409,
+  NO_CONFIG_FILE: 409,
+  INVALID_STORE_CONFIG: 400
+};
 
 class WooCommercePrometheusExporter {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 9090;
-    this.scrapeInterval = process.env.SCRAPE_INTERVAL || '*/5 * * * *'; // Every 5 minutes
     
     // Initialize services
     this.metricsCollector = new MetricsCollector();
     this.storeClients = new Map();
-    this.cronJob = null;
+    this.scheduler = new StoreScheduler((storeId) => this.collectStoreMetrics(storeId));
+    this.secrets = new SecretManager();
+
+    // Authentication and rate limiting for the HTTP endpoints
+    this.auth = new HttpAuth({
+      onDenied: (route, reason) => this.metricsCollector.recordUnauthorizedRequest(route, reason)
+    });
+    this.collectLimiter = new RateLimiter({
+      limit: parseInt(process.env.COLLECT_RATE_LIMIT),
+      windowMs: parseInt(process.env.COLLECT_RATE_WINDOW) || 60000,
+      onLimited: (route) => this.metricsCollector.recordRateLimitedRequest(route)
+    });
     
     // Setup express middleware
     this.setupMiddleware();
@@ -30,6 +53,19 @@ class WooCommercePrometheusExporter {
    * Setup Express middleware
    */
   setupMiddleware() {
+    // Use the client address from X-Forwarded-For when running behind a proxy
+    // (true, a hop count, or addresses/subnets such as 'loopback, 10.0.0.0/8')
+    const trustProxy = process.env.TRUST_PROXY;
+    if (trustProxy && trustProxy !== 'false') {
+      let setting = trustProxy;
+      if (trustProxy === 'true') {
+        setting = true;
+      } else if (/^\d+$/.test(trustProxy)) {
+        setting = parseInt(trustProxy);
+      }
+      this.app.set('trust proxy', setting);
+    }
+
     // JSON body parser
     this.app.use(express.json());
     
@@ -44,10 +80,20 @@ class WooCommercePrometheusExporter {
 
     // Error handling middleware
     this.app.use((error, req, res, next) => {
+      // Client errors from the body parser (malformed JSON, oversized bodies) keep their 4xx status
+      const status = error.status || error.statusCode;
+      if (status >= 400 && status < 500) {
+        logger.warn(`Rejected request (${req.method} ${req.path}): ${error.message}`);
+        return res.status(status).json({
+          error: error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : 'Invalid request',
+          message: error.expose ? redact(error.message) : undefined
+        });
+      }
+
       logger.error('Express error:', error.message);
       res.status(500).json({ 
         error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        message: process.env.NODE_ENV === 'development' ? redact(error.message) : 'Something went wrong'
       });
     });
   }
@@ -56,8 +102,13 @@ class WooCommercePrometheusExporter {
    * Setup Express routes
    */
   setupRoutes() {
+    const requireRead = this.auth.require('read');
+    const requireAdmin = this.auth.require('admin');
+    const requireStoreAdmin = this.auth.require('admin', { requireCredentials: true });
+    const limitCollect = this.collectLimiter.middleware();
+
     // Metrics endpoint for Prometheus
-    this.app.get('/metrics', async (req, res) => {
+    this.app.get('/metrics', requireRead, async (req, res) => {
       try {
         const metrics = await this.metricsCollector.getMetrics();
         res.set('Content-Type', 'text/plain');
@@ -68,10 +119,17 @@ class WooCommercePrometheusExporter {
       }
     });
 
-    // Health check endpoint
+    // Health check endpoint (public; store details only for callers with the read scope when auth is enabled)
     this.app.get('/health', (req, res) => {
       const stores = storeConfig.getAllStores();
       const enabledStores = storeConfig.getEnabledStores();
+
+      if (this.auth.enabled && !this.auth.hasScope(this.auth.authenticate(req), 'read')) {
+        return res.json({
+          status: 'healthy',
+          timestamp: new Date().toISOString()
+        });
+      }
       
       res.json({
         status: 'healthy',
@@ -79,79 +137,116 @@ class WooCommercePrometheusExporter {
         stores: {
           total: stores.length,
           enabled: enabledStores.length,
-          configured: stores.map(store => ({
-            id: store.id,
-            name: store.name,
-            enabled: store.enabled,
-            url: store.url.replace(/\/wp-json.*$/, '') // Hide sensitive parts
-          }))
+          configured: stores.map(store => {
+            const schedule = this.scheduler.getStatus(store.id);
+            return {
+              id: store.id,
+              name: store.name,
+              enabled: store.enabled,
+              url: store.url.replace(/\/wp-json.*$/, ''), // Hide sensitive parts
+              lastCollection: schedule?.lastCollection || null,
+              nextCollection: schedule?.nextCollection || null
+            };
+          })
         },
         metrics: {
-          lastCollection: this.lastCollectionTime || null,
-          nextCollection: this.cronJob ? 'scheduled' : 'not scheduled'
+          lastCollection: this.getLastCollectionTime(),
+          nextCollection: this.getNextCollectionTime()
         }
       });
     });
 
     // Manual collection trigger for all stores
-    this.app.post('/collect', async (req, res) => {
+    this.app.post('/collect', requireAdmin, limitCollect, async (req, res) => {
       try {
         logger.info('Manual collection triggered for all stores');
-        await this.collectAllMetrics();
+        const summary = await this.collectAllMetrics();
         res.json({ 
           message: 'Metrics collection completed for all stores',
+          ...summary,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
         logger.error('Manual collection failed:', error.message);
         res.status(500).json({ 
           error: 'Collection failed',
-          message: error.message
+          message: redact(error.message)
         });
       }
     });
 
     // Manual collection trigger for specific store
-    this.app.post('/collect/:storeId', async (req, res) => {
+    this.app.post('/collect/:storeId', requireAdmin, limitCollect, async (req, res) => {
       try {
         const { storeId } = req.params;
         logger.info(`Manual collection triggered for store: ${storeId}`);
         
-        await this.collectStoreMetrics(storeId);
+        if (!this.storeClients.has(storeId)) {
+          return res.status(404).json({ 
+            error: 'Store not found',
+            storeId 
+          });
+        }
+
+        const result = await this.scheduler.run(storeId);
         
         res.json({ 
           message: `Metrics collection completed for store: ${storeId}`,
+          success: result.success,
+          failedCollectors: result.failed,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
         logger.error(`Manual collection failed for store ${req.params.storeId}:`, error.message);
         res.status(500).json({ 
           error: 'Collection failed',
-          message: error.message
+          message: redact(error.message)
         });
       }
     });
 
     // List all configured stores
-    this.app.get('/stores', (req, res) => {
+    this.app.get('/stores', requireRead, (req, res) => {
       const stores = storeConfig.getAllStores();
       res.json({
-        stores: stores.map(store => ({
-          id: store.id,
-          name: store.name,
-          enabled: store.enabled,
-          currency: store.currency,
-          scrapeInterval: store.scrapeInterval,
-          url: store.url.replace(/\/wp-json.*$/, ''), // Hide sensitive parts
-          lastCollection: this.storeClients.has(store.id) ? 'initialized' : 'not initialized'
-        })),
+        stores: stores.map(store => this.describeStore(store)),
         total: stores.length,
         enabled: stores.filter(s => s.enabled).length
       });
     });
 
+    // Add a store
+    this.app.post('/stores', requireStoreAdmin, (req, res) => this.handleStoreChange(req, res, () => {
+      const store = storeConfig.addStore(req.body);
+      res.status(201).json({ store: this.describeStore(store) });
+    }));
+
+    // Change a store's settings (e.g. rotate its API keys)
+    this.app.patch('/stores/:storeId', requireStoreAdmin, (req, res) => this.handleStoreChange(req, res, () => {
+      const store = storeConfig.updateStore(req.params.storeId, req.body);
+      res.json({ store: this.describeStore(store) });
+    }));
+
+    // Remove a store, its metric series and its order and customer caches
+    this.app.delete('/stores/:storeId', requireStoreAdmin, (req, res) => this.handleStoreChange(req, res, async () => {
+      const store = storeConfig.removeStore(req.params.storeId);
+      await Promise.all([
+        this.metricsCollector.customerCache.clear(store.id),
+        this.metricsCollector.orderCache.clear(store.id)
+      ]);
+      res.json({ message: `Store ${store.id} removed`, storeId: store.id });
+    }));
+
+    // Pause or resume a store
+    ['enable', 'disable'].forEach(action => {
+      this.app.post(`/stores/:storeId/${action}`, requireStoreAdmin, (req, res) => this.handleStoreChange(req, res, () => {
+        const store = storeConfig.setStoreEnabled(req.params.storeId, action === 'enable');
+        res.json({ store: this.describeStore(store) });
+      }));
+    });
+
     // Test store connection
-    this.app.post('/test/:storeId', async (req, res) => {
+    this.app.post('/test/:storeId', requireAdmin, async (req, res) => {
       try {
         const { storeId } = req.params;
         const client = this.storeClients.get(storeId);
@@ -174,13 +269,13 @@ class WooCommercePrometheusExporter {
         logger.error(`Connection test failed for store ${req.params.storeId}:`, error.message);
         res.status(500).json({ 
           error: 'Connection test failed',
-          message: error.message
+          message: redact(error.message)
         });
       }
     });
 
     // Root endpoint
-    this.app.get('/', (req, res) => {
+    this.app.get('/', requireRead, (req, res) => {
       res.json({
         name: 'WooCommerce Prometheus Exporter',
         version: '1.0.0',
@@ -190,7 +285,12 @@ class WooCommercePrometheusExporter {
           stores: '/stores',
           collect_all: 'POST /collect',
           collect_store: 'POST /collect/:storeId',
-          test_connection: 'POST /test/:storeId'
+          test_connection: 'POST /test/:storeId',
+          add_store: 'POST /stores',
+          update_store: 'PATCH /stores/:storeId',
+          remove_store: 'DELETE /stores/:storeId',
+          enable_store: 'POST /stores/:storeId/enable',
+          disable_store: 'POST /stores/:storeId/disable'
         },
         documentation: 'https://github.com/webxbeyond/woometrics'
       });
@@ -198,18 +298,62 @@ class WooCommercePrometheusExporter {
   }
 
   /**
-   * Initialize WooCommerce clients for all enabled stores
+   * Run a store management request
+   * Store configuration errors are mapped to their HTTP status
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   * @param {Function} handler - Performs the change and sends the response
    */
-  async initializeStores() {
-    const stores = storeConfig.getEnabledStores();
-    
-    if (stores.length === 0) {
-      logger.warn('No enabled stores found in configuration');
-      return false;
+  async handleStoreChange(req, res, handler) {
+    try {
+      await handler();
+    } catch (error) {
+      const status = STORE_ERROR_STATUS[error.code];
+      if (!status) {
+        logger.error(`Store change failed (${req.method} ${req.path}):`, error.message);
+        return res.status(500).json({ error: 'Store change failed', message: redact(error.message) });
+      }
+
+      logger.warn(`Store change rejected (${req.method} ${req.path}): ${error.message}`);
+      res.status(status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
     }
+  }
 
-    logger.info(`Initializing ${stores.length} enabled stores`);
+  /**
+   * Describe a store for API responses (without credentials)
+   * @param {Object} store - Store configuration
+   * @returns {Object} Store details with its collection state
+   */
+  describeStore(store) {
+    const schedule = this.scheduler.getStatus(store.id);
+    return {
+      id: store.id,
+      name: store.name,
+      enabled: store.enabled,
+      currency: store.currency,
+      scrapeInterval: store.scrapeInterval,
+      labels: store.labels,
+      tags: store.tags,
+      source: store.source,
+      url: store.url.replace(/\/wp-json.*$/, ''), // Hide sensitive parts
+      initialized: this.storeClients.has(store.id),
+      collecting: schedule?.running || false,
+      lastCollection: schedule?.lastCollection || null,
+      lastSuccess: schedule?.lastSuccess || null,
+      lastDurationMs: schedule?.lastDurationMs ?? null,
+      lastError: redact(schedule?.lastError) || null,
+      nextCollection: schedule?.nextCollection || null
+    };
+  }
 
+  /**
+   * Initialize WooCommerce clients for all enabled stores
+   */
+  async initializeStores() {
     // Validate store configurations
     const validationErrors = storeConfig.validateStores();
     if (validationErrors.length > 0) {
@@ -218,12 +362,23 @@ class WooCommercePrometheusExporter {
       throw new Error('Invalid store configuration');
     }
 
+    const stores = storeConfig.getEnabledStores();
+    
+    if (stores.length === 0) {
+      logger.warn('No enabled stores found in configuration');
+      return false;
+    }
+
+    logger.info(`Initializing ${stores.length} enabled stores`);
+
     // Initialize clients for each store
     for (const storeConf of stores) {
       try {
-        const client = new WooCommerceClient(storeConf);
-        this.storeClients.set(storeConf.id, client);
-        
+        const client = await this.addStoreClient(storeConf);
+        if (!client) {
+          continue;
+        }
+
         // Test connection
         const isConnected = await client.testConnection();
         if (isConnected) {
@@ -241,8 +396,98 @@ class WooCommercePrometheusExporter {
     return this.storeClients.size > 0;
   }
 
+  /**
+   * Resolve a store's credentials, create its client and publish its info metrics
+   * @param {Object} storeConf - Store configuration
+   * @returns {Promise<WooCommerceClient|null>} Store client, or null if the store changed while its secrets were resolved
+   */
+  async addStoreClient(storeConf) {
+    const resolved = await this.secrets.resolveStore(storeConf);
+
+    const current = storeConfig.getStoreById(storeConf.id);
+    if (!current?.enabled || JSON.stringify(current) !== JSON.stringify(storeConf)) {
+      logger.info(`Store ${storeConf.id} was ${current?.enabled ? 'changed' : 'removed or disabled'} while its secrets were resolved, skipping the outdated configuration`);
+      return null;
+    }
+
+    const client = new WooCommerceClient(resolved, { metrics: this.metricsCollector });
+    this.storeClients.set(storeConf.id, client);
+    this.metricsCollector.setStoreInfo(storeConf);
+    return client;
+  }
+
+  /**
+   * Stop collecting a store and drop its client and metric series
+   * @param {string} storeId - Store ID
+   */
+  removeStoreClient(storeId) {
+    this.scheduler.removeStore(storeId);
+    this.storeClients.delete(storeId);
+    this.metricsCollector.removeStoreSeries(storeId);
+  }
+
+  /**
+   * Create (or replace) a store's client and schedule it
+   * The scheduler starts its first collection within the jitter window, after any run still in progress
+   * for the store's previous configuration
+   * @param {Object} storeConf - Store configuration
+   */
+  async startStore(storeConf) {
+    try {
+      if (!await this.addStoreClient(storeConf)) {
+        return;
+      }
+    } catch (error) {
+      logger.error(`✗ Failed to start store ${storeConf.name} (${storeConf.id}):`, error.message);
+      return;
+    }
+
+    this.scheduler.addStore(storeConf.id, storeConf.scrapeInterval);
+  }
+
+  /**
+   * Apply store configuration changes without a restart
+   * @param {Object} changes - { added, removed, updated } from StoreConfig
+   */
+  applyStoreChanges({ added, removed, updated }) {
+    removed.forEach(store => {
+      this.removeStoreClient(store.id);
+      logger.info(`Store ${store.name} (${store.id}) removed`);
+    });
+
+    updated.forEach(({ previous, store }) => {
+      // Every series carries the store name, and a new URL means a different shop
+      if (previous.name !== store.name || previous.url !== store.url || !store.enabled) {
+        this.removeStoreClient(store.id);
+      }
+
+      // The caches finish any sync in progress before clearing, and the store's next sync waits for them
+      if (previous.url !== store.url) {
+        this.metricsCollector.customerCache.clear(store.id);
+        this.metricsCollector.orderCache.clear(store.id).catch(error => {
+          logger.error(`Could not clear order cache for store ${store.id}:`, error.message);
+        });
+      }
+
+      if (store.enabled) {
+        this.startStore(store);
+        logger.info(`Store ${store.name} (${store.id}) updated`);
+      } else {
+        logger.info(`Store ${store.name} (${store.id}) disabled`);
+      }
+    });
+
+    added.forEach(store => {
+      if (store.enabled) {
+        this.startStore(store);
+        logger.info(`Store ${store.name} (${store.id}) added`);
+      }
+    });
+  }
+
   /**
    * Collect metrics for all stores
+   * @returns {Promise<Object>} Number of stores that completed, partially failed and failed
    */
   async collectAllMetrics() {
     const startTime = Date.now();
@@ -250,40 +495,43 @@ class WooCommercePrometheusExporter {
 
     if (this.storeClients.size === 0) {
       logger.warn('No store clients available for metrics collection');
-      return;
+      return { completed: 0, partial: 0, failed: 0 };
     }
 
     // Collect metrics for each store
-    const collectionPromises = Array.from(this.storeClients.entries()).map(
-      async ([storeId, client]) => {
+    const collectionPromises = Array.from(this.storeClients.keys()).map(
+      async (storeId) => {
         try {
-          await this.metricsCollector.collectStoreMetrics(client);
-          return { storeId, success: true };
+          return await this.scheduler.run(storeId);
         } catch (error) {
           logger.error(`Metrics collection failed for store ${storeId}:`, error.message);
-          return { storeId, success: false, error: error.message };
+          return { storeId, success: false, partial: false, error: redact(error.message) };
         }
       }
     );
 
     // Wait for all collections to complete
-    const results = await Promise.allSettled(collectionPromises);
-    const completed = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failed = results.length - completed;
+    const results = (await Promise.allSettled(collectionPromises))
+      .map(r => r.status === 'fulfilled' ? r.value : { success: false, partial: false });
+    const completed = results.filter(r => r.success).length;
+    const partial = results.filter(r => r.partial).length;
+    const failed = results.length - completed - partial;
 
     const duration = (Date.now() - startTime) / 1000;
-    this.lastCollectionTime = new Date().toISOString();
 
-    logger.info(`Metrics collection completed: ${completed} successful, ${failed} failed in ${duration.toFixed(2)}s`);
+    logger.info(`Metrics collection completed: ${completed} successful, ${partial} partial, ${failed} failed in ${duration.toFixed(2)}s`);
 
-    if (failed > 0) {
-      logger.warn(`${failed} stores failed during metrics collection`);
+    if (partial > 0 || failed > 0) {
+      logger.warn(`${partial + failed} stores did not fully succeed during metrics collection`);
     }
+
+    return { completed, partial, failed };
   }
 
   /**
    * Collect metrics for a specific store
    * @param {string} storeId - Store ID to collect metrics for
+   * @returns {Promise<Object>} Collection result from MetricsCollector.collectStoreMetrics
    */
   async collectStoreMetrics(storeId) {
     const client = this.storeClients.get(storeId);
@@ -293,35 +541,57 @@ class WooCommercePrometheusExporter {
     }
 
     logger.info(`Starting metrics collection for store: ${storeId}`);
-    await this.metricsCollector.collectStoreMetrics(client);
+    const result = await this.metricsCollector.collectStoreMetrics(client);
+
+    // The store may have been removed while it was being collected
+    if (!this.storeClients.has(storeId)) {
+      this.metricsCollector.removeStoreSeries(storeId);
+    }
+
     logger.info(`Metrics collection completed for store: ${storeId}`);
+    return result;
   }
 
   /**
-   * Setup cron job for scheduled metrics collection
+   * Register every initialized store with the scheduler using its own interval
    */
-  setupCronJob() {
-    if (this.cronJob) {
-      this.cronJob.stop();
+  setupScheduler() {
+    if (process.env.SCRAPE_INTERVAL) {
+      logger.warn('SCRAPE_INTERVAL is no longer used; set STORE{N}_SCRAPE_INTERVAL per store instead');
     }
 
-    // Validate cron expression
-    if (!cron.validate(this.scrapeInterval)) {
-      logger.error(`Invalid cron expression: ${this.scrapeInterval}`);
-      throw new Error('Invalid scrape interval cron expression');
+    this.scheduler.stop();
+
+    for (const storeId of this.storeClients.keys()) {
+      const storeConf = storeConfig.getStoreById(storeId);
+      this.scheduler.addStore(storeId, storeConf.scrapeInterval);
     }
+  }
 
-    this.cronJob = cron.schedule(this.scrapeInterval, async () => {
-      try {
-        await this.collectAllMetrics();
-      } catch (error) {
-        logger.error('Scheduled metrics collection failed:', error.message);
-      }
-    }, {
-      scheduled: false
-    });
+  /**
+   * Get the latest collection start across all stores
+   * @returns {string|null} ISO timestamp or null if no store has been collected yet
+   */
+  getLastCollectionTime() {
+    const collected = Array.from(this.storeClients.keys())
+      .map(storeId => this.scheduler.getStatus(storeId)?.lastCollection)
+      .filter(Boolean)
+      .sort();
 
-    logger.info(`Cron job scheduled with interval: ${this.scrapeInterval}`);
+    return collected[collected.length - 1] || null;
+  }
+
+  /**
+   * Get the earliest upcoming collection across all stores
+   * @returns {string|null} ISO timestamp or null if nothing is scheduled
+   */
+  getNextCollectionTime() {
+    const upcoming = Array.from(this.storeClients.keys())
+      .map(storeId => this.scheduler.getStatus(storeId)?.nextCollection)
+      .filter(Boolean)
+      .sort();
+
+    return upcoming[0] || null;
   }
 
   /**
@@ -334,19 +604,20 @@ class WooCommercePrometheusExporter {
       // Initialize stores
       const storesInitialized = await this.initializeStores();
       
-      if (!storesInitialized) {
+      // With a config file, stores can still be added at runtime
+      if (!storesInitialized && !storeConfig.configFile) {
         logger.error('No stores could be initialized. Exiting.');
         process.exit(1);
       }
 
-      // Collect initial metrics
-      logger.info('Collecting initial metrics...');
-      await this.collectAllMetrics();
+      // Setup and start per-store schedules; the first collections are staggered over the jitter window
+      this.setupScheduler();
+      this.scheduler.start();
+      logger.info('Scheduler started for per-store collections');
 
-      // Setup and start cron job
-      this.setupCronJob();
-      this.cronJob.start();
-      logger.info('Cron job started for scheduled collections');
+      // Reconcile stores when the config file changes
+      storeConfig.on('change', (changes) => this.applyStoreChanges(changes));
+      storeConfig.watch();
 
       // Start Express server
       this.server = this.app.listen(this.port, () => {
@@ -354,7 +625,7 @@ class WooCommercePrometheusExporter {
         logger.info(`📊 Metrics endpoint: http://localhost:${this.port}/metrics`);
         logger.info(`💚 Health endpoint: http://localhost:${this.port}/health`);
         logger.info(`🏪 Stores endpoint: http://localhost:${this.port}/stores`);
-        logger.info(`📅 Collection interval: ${this.scrapeInterval}`);
+        logger.info(`📅 Collection intervals: per store (STORE{N}_SCRAPE_INTERVAL)`);
         logger.info(`🎯 Monitoring ${this.storeClients.size} WooCommerce stores`);
       });
 
@@ -370,11 +641,10 @@ class WooCommercePrometheusExporter {
   async shutdown() {
     logger.info('Shutting down WooCommerce Prometheus Exporter...');
 
-    // Stop cron job
-    if (this.cronJob) {
-      this.cronJob.stop();
-      logger.info('Cron job stopped');
-    }
+    // Stop scheduled collections
+    this.scheduler.stop();
+    storeConfig.unwatch();
+    logger.info('Scheduler stopped');
 
     // Close HTTP server
     if (this.server) {
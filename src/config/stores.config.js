@@ -1,52 +1,604 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import YAML from 'yaml';
+import logger from '../utils/logger.js';
+import { isValidTimeZone } from '../utils/time-windows.js';
 dotenv.config();
 
+// Defaults for every per-store setting (overridable per store, and via `defaults` in the config file)
+const STORE_DEFAULTS = {
+  enabled: true,
+  scrapeInterval: 300000, // 5 minutes
+  currency: 'USD',
+  timeout: 30000, // 30 seconds
+  maxRetries: 3,
+  retryBaseDelay: 1000, // 1 second
+  retryMaxDelay: 30000, // 30 seconds
+  circuitBreakerThreshold: 5,
+  circuitBreakerResetTimeout: 60000, // 1 minute
+  salesReports: false,
+  timezone: null, // Auto-detected when not set
+  authMethod: 'query',
+  lowStockThreshold: 10, // Used when neither the product nor its categories set a threshold
+  stockTrackingTag: null, // Product tag whose products get per-SKU stock gauges
+  trackVariations: true, // Fetch variations of variable products for inventory metrics
+  variationConcurrency: 4, // Variable products whose variations are fetched in parallel
+  variationMaxPages: 10, // Pages of 100 variations fetched per variable product
+  orderSlaHours: { processing: 48 }, // Order status -> hours an order may stay in it before breaching the SLA
+  countryAddress: 'billing' // Order address used for country metrics
+};
+
+// Order addresses country metrics can be based on
+const COUNTRY_ADDRESSES = ['billing', 'shipping'];
+
+// How credentials are sent: 'query' (consumer_key/consumer_secret query parameters) or 'basic' (Authorization header)
+const AUTH_METHODS = ['query', 'basic'];
+
+// Env var suffix for each setting (STORE{N}_<suffix>)
+const ENV_KEYS = {
+  name: 'NAME',
+  url: 'URL',
+  consumerKey: 'CONSUMER_KEY',
+  consumerSecret: 'CONSUMER_SECRET',
+  consumerKeyFile: 'CONSUMER_KEY_FILE',
+  consumerSecretFile: 'CONSUMER_SECRET_FILE',
+  authMethod: 'AUTH_METHOD',
+  enabled: 'ENABLED',
+  scrapeInterval: 'SCRAPE_INTERVAL',
+  currency: 'CURRENCY',
+  timeout: 'TIMEOUT',
+  maxRetries: 'MAX_RETRIES',
+  retryBaseDelay: 'RETRY_BASE_DELAY',
+  retryMaxDelay: 'RETRY_MAX_DELAY',
+  circuitBreakerThreshold: 'CIRCUIT_BREAKER_THRESHOLD',
+  circuitBreakerResetTimeout: 'CIRCUIT_BREAKER_RESET_TIMEOUT',
+  salesReports: 'SALES_REPORTS',
+  timezone: 'TIMEZONE',
+  labels: 'LABELS',
+  tags: 'TAGS',
+  lowStockThreshold: 'LOW_STOCK_THRESHOLD',
+  categoryLowStockThresholds: 'CATEGORY_LOW_STOCK_THRESHOLDS',
+  stockTrackingTag: 'STOCK_TRACKING_TAG',
+  trackVariations: 'TRACK_VARIATIONS',
+  variationConcurrency: 'VARIATION_CONCURRENCY',
+  variationMaxPages: 'VARIATION_MAX_PAGES',
+  orderSlaHours: 'ORDER_SLA_HOURS',
+  countryAddress: 'COUNTRY_ADDRESS'
+};
+
+// Settings that hold a { key: value } map
+const MAP_FIELDS = ['labels', 'categoryLowStockThresholds', 'orderSlaHours'];
+
+// Store IDs end up in file names and URLs, label names in Prometheus label values
+const STORE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Wait for editors and config map updates to finish writing before reloading
+const RELOAD_DEBOUNCE_MS = 500;
+
+/**
+ * Create an error for a rejected store configuration change
+ * @param {string} code - Error code (STORE_NOT_FOUND, STORE_EXISTS, STORE_READ_ONLY, NO_CONFIG_FILE or INVALID_STORE_CONFIG)
+ * @param {string} message - Error message
+ * @param {Array} details - Validation errors
+ * @returns {Error} Error with code and details
+ */
+function configError(code, message, details = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
 /**
  * Store configuration for multiple WooCommerce stores
- * Each store is configured via environment variables
+ * Stores come from STORE{N}_* environment variables and/or a YAML or JSON file (STORES_CONFIG_FILE).
+ * The file is watched, and a 'change' event with { added, removed, updated } is emitted when it changes
  */
-class StoreConfig {
+class StoreConfig extends EventEmitter {
   constructor() {
-    this.stores = this.loadStoreConfigurations();
+    super();
+
+    this.configFile = process.env.STORES_CONFIG_FILE ? path.resolve(process.env.STORES_CONFIG_FILE) : null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.fileContent = null;
+
+    // Errors found while loading (reported by validateStores)
+    this.loadErrors = [];
+
+    const { stores, errors } = this.loadStoreConfigurations();
+    this.stores = stores;
+    this.loadErrors = errors;
   }
 
   /**
-   * Load store configurations from environment variables
-   * @returns {Array} Array of store configuration objects
+   * Load store configurations from environment variables and the config file
+   * @returns {Object} { stores, errors } where errors lists problems reading the config file
    */
   loadStoreConfigurations() {
+    const stores = this.loadEnvStores();
+    const errors = [];
+
+    if (this.configFile) {
+      try {
+        stores.push(...this.loadFileStores());
+      } catch (error) {
+        errors.push(`Config file ${this.configFile}: ${error.message}`);
+      }
+    }
+
+    return { stores, errors };
+  }
+
+  /**
+   * Load stores from STORE{N}_* environment variables
+   * Every STORE{N}_URL is picked up, so gaps in the numbering are fine
+   * @returns {Array} Array of store configuration objects
+   */
+  loadEnvStores() {
+    const indexes = Object.keys(process.env)
+      .map(key => key.match(/^STORE(\d+)_URL$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+
     const stores = [];
-    let storeIndex = 1;
 
-    // Keep checking for stores until we don't find any more
-    while (true) {
-      const storeUrl = process.env[`STORE${storeIndex}_URL`];
-      const consumerKey = process.env[`STORE${storeIndex}_CONSUMER_KEY`];
-      const consumerSecret = process.env[`STORE${storeIndex}_CONSUMER_SECRET`];
+    indexes.forEach(storeIndex => {
+      const raw = {};
+      Object.entries(ENV_KEYS).forEach(([field, suffix]) => {
+        const value = process.env[`STORE${storeIndex}_${suffix}`];
+        if (value !== undefined && value !== '') {
+          raw[field] = value;
+        }
+      });
+
+      if (!(raw.consumerKey || raw.consumerKeyFile) || !(raw.consumerSecret || raw.consumerSecretFile)) {
+        logger.warn(`Skipping STORE${storeIndex}: STORE${storeIndex}_CONSUMER_KEY and STORE${storeIndex}_CONSUMER_SECRET (or their _FILE variants) are required`);
+        return;
+      }
 
-      // If we don't have the required config, stop looking
-      if (!storeUrl || !consumerKey || !consumerSecret) {
-        break;
+      raw.labels = this.parseKeyValueList(raw.labels);
+      raw.categoryLowStockThresholds = this.parseKeyValueList(raw.categoryLowStockThresholds);
+      raw.tags = raw.tags ? raw.tags.split(',') : [];
+      if (raw.orderSlaHours !== undefined) {
+        raw.orderSlaHours = this.parseKeyValueList(raw.orderSlaHours);
       }
 
-      const store = {
+      stores.push(this.normalizeStore({
         id: `store${storeIndex}`,
-        name: process.env[`STORE${storeIndex}_NAME`] || `Store ${storeIndex}`,
-        url: storeUrl,
-        consumerKey: consumerKey,
-        consumerSecret: consumerSecret,
-        enabled: process.env[`STORE${storeIndex}_ENABLED`] !== 'false', // Default to true
-        scrapeInterval: parseInt(process.env[`STORE${storeIndex}_SCRAPE_INTERVAL`]) || 300000, // 5 minutes default
-        currency: process.env[`STORE${storeIndex}_CURRENCY`] || 'USD',
-        timeout: parseInt(process.env[`STORE${storeIndex}_TIMEOUT`]) || 30000, // 30 seconds default
-        maxRetries: parseInt(process.env[`STORE${storeIndex}_MAX_RETRIES`]) || 3
-      };
+        name: `Store ${storeIndex}`,
+        ...raw
+      }, {}, 'env'));
+    });
+
+    return stores;
+  }
+
+  /**
+   * Load stores from the config file
+   * @returns {Array} Array of store configuration objects
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  loadFileStores() {
+    const content = this.readConfigFile();
+    this.fileContent = content;
 
-      stores.push(store);
-      storeIndex++;
+    return this.buildFileStores(this.parseConfigFile(content));
+  }
+
+  /**
+   * Read the config file (a missing file counts as empty, so stores can be added through the admin API)
+   * @returns {string} File content
+   */
+  readConfigFile() {
+    try {
+      return fs.readFileSync(this.configFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      logger.warn(`Store config file ${this.configFile} does not exist yet`);
+      return '';
     }
+  }
 
-    return stores;
+  /**
+   * Build store configurations from parsed config file data
+   * @param {Object} data - Parsed config ({ defaults, stores })
+   * @returns {Array} Array of store configuration objects
+   * @throws {Error} If the data has the wrong shape
+   */
+  buildFileStores(data) {
+    const defaults = data.defaults || {};
+    const entries = data.stores || [];
+
+    if (!Array.isArray(entries)) {
+      throw new Error('"stores" must be a list');
+    }
+
+    return entries.map((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        throw new Error(`stores[${index}] must be an object`);
+      }
+
+      return this.normalizeStore(entry, defaults, 'file');
+    });
+  }
+
+  /**
+   * Parse config file content as JSON or YAML, based on the file extension
+   * @param {string} content - File content
+   * @returns {Object} Parsed config ({ defaults, stores })
+   */
+  parseConfigFile(content) {
+    if (!content.trim()) {
+      return {};
+    }
+
+    const data = this.configFile.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    return data || {};
+  }
+
+  /**
+   * Build a store configuration object with defaults applied
+   * @param {Object} raw - Store settings from env or the config file
+   * @param {Object} defaults - File-level defaults
+   * @param {string} source - Where the store was configured ('env' or 'file')
+   * @returns {Object} Store configuration
+   */
+  normalizeStore(raw, defaults, source) {
+    const merged = { ...STORE_DEFAULTS, ...defaults, ...raw };
+
+    return {
+      id: String(merged.id ?? ''),
+      name: String(merged.name || merged.id || ''),
+      url: merged.url || '',
+      // Literal values or secret references ("file:/run/secrets/...", "vault:...#key"), resolved by SecretManager
+      consumerKey: merged.consumerKey || (merged.consumerKeyFile ? `file:${merged.consumerKeyFile}` : ''),
+      consumerSecret: merged.consumerSecret || (merged.consumerSecretFile ? `file:${merged.consumerSecretFile}` : ''),
+      authMethod: merged.authMethod || STORE_DEFAULTS.authMethod,
+      enabled: this.toBoolean(merged.enabled, STORE_DEFAULTS.enabled),
+      scrapeInterval: this.toInt(merged.scrapeInterval, STORE_DEFAULTS.scrapeInterval),
+      currency: merged.currency || STORE_DEFAULTS.currency,
+      timeout: this.toInt(merged.timeout, STORE_DEFAULTS.timeout),
+      maxRetries: this.toInt(merged.maxRetries, STORE_DEFAULTS.maxRetries),
+      retryBaseDelay: this.toInt(merged.retryBaseDelay, STORE_DEFAULTS.retryBaseDelay),
+      retryMaxDelay: this.toInt(merged.retryMaxDelay, STORE_DEFAULTS.retryMaxDelay),
+      circuitBreakerThreshold: this.toInt(merged.circuitBreakerThreshold, STORE_DEFAULTS.circuitBreakerThreshold),
+      circuitBreakerResetTimeout: this.toInt(merged.circuitBreakerResetTimeout, STORE_DEFAULTS.circuitBreakerResetTimeout),
+      salesReports: this.toBoolean(merged.salesReports, STORE_DEFAULTS.salesReports),
+      timezone: merged.timezone || null,
+      // Store labels are merged with the default labels, tags are not
+      labels: Object.fromEntries(
+        Object.entries({ ...(defaults.labels || {}), ...(raw.labels || {}) }).map(([name, value]) => [name, String(value)])
+      ),
+      tags: (Array.isArray(merged.tags) ? merged.tags : []).map(tag => String(tag).trim()).filter(Boolean),
+      lowStockThreshold: this.toInt(merged.lowStockThreshold, STORE_DEFAULTS.lowStockThreshold),
+      // Category slug (or name) -> threshold
+      categoryLowStockThresholds: Object.fromEntries(
+        Object.entries(merged.categoryLowStockThresholds || {}).map(([category, value]) => [category.toLowerCase(), parseInt(value)])
+      ),
+      stockTrackingTag: merged.stockTrackingTag ? String(merged.stockTrackingTag) : null,
+      trackVariations: this.toBoolean(merged.trackVariations, STORE_DEFAULTS.trackVariations),
+      variationConcurrency: this.toInt(merged.variationConcurrency, STORE_DEFAULTS.variationConcurrency),
+      variationMaxPages: this.toInt(merged.variationMaxPages, STORE_DEFAULTS.variationMaxPages),
+      // Order status -> SLA in hours (an empty map disables SLA tracking)
+      orderSlaHours: Object.fromEntries(
+        Object.entries(merged.orderSlaHours || {}).map(([status, hours]) => [status.toLowerCase(), parseFloat(hours)])
+      ),
+      countryAddress: merged.countryAddress || STORE_DEFAULTS.countryAddress,
+      source
+    };
+  }
+
+  /**
+   * Parse a "key=value,key=value" list
+   * @param {string} value - List to parse
+   * @returns {Object} Parsed key/value pairs
+   */
+  parseKeyValueList(value) {
+    const result = {};
+
+    (value || '').split(',').forEach(pair => {
+      const [key, ...rest] = pair.split('=');
+      if (key.trim()) {
+        result[key.trim()] = rest.join('=').trim();
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Convert a setting to an integer
+   * @param {*} value - Raw value
+   * @param {number} fallback - Value used when the setting is missing or not a number
+   * @returns {number} Integer value
+   */
+  toInt(value, fallback) {
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  }
+
+  /**
+   * Convert a setting to a boolean
+   * @param {*} value - Raw value (boolean or 'true'/'false' string)
+   * @param {boolean} fallback - Value used when the setting is missing
+   * @returns {boolean} Boolean value
+   */
+  toBoolean(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+      return fallback;
+    }
+
+    return value === true || String(value).toLowerCase() === 'true';
+  }
+
+  /**
+   * Start watching the config file and reload it when it changes
+   * The directory is watched rather than the file, so atomic saves and config map symlink swaps are picked up
+   */
+  watch() {
+    if (!this.configFile || this.watcher || process.env.STORES_CONFIG_WATCH === 'false') {
+      return;
+    }
+
+    try {
+      this.watcher = fs.watch(path.dirname(this.configFile), () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+      });
+      this.watcher.on('error', (error) => logger.error('Store config watcher failed:', error.message));
+
+      logger.info(`Watching store config file ${this.configFile} for changes`);
+    } catch (error) {
+      logger.error(`Could not watch store config file ${this.configFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Reload the configuration and emit a 'change' event if stores were added, removed or updated
+   * An invalid configuration is logged and ignored, keeping the current stores
+   * @returns {Object|null} { added, removed, updated } or null if nothing was applied
+   */
+  reload() {
+    let content;
+    try {
+      content = fs.readFileSync(this.configFile, 'utf8');
+    } catch (error) {
+      logger.error(`Could not read store config file ${this.configFile}, keeping current stores:`, error.message);
+      return null;
+    }
+
+    // Directory events fire for unrelated files too
+    if (content === this.fileContent) {
+      return null;
+    }
+
+    const { stores, errors } = this.loadStoreConfigurations();
+    const validationErrors = [...errors, ...this.validateStores(stores)];
+
+    if (validationErrors.length > 0) {
+      logger.error('Store config reload failed, keeping current stores:');
+      validationErrors.forEach(error => logger.error(`  - ${error}`));
+      return null;
+    }
+
+    return this.applyStores(stores);
+  }
+
+  /**
+   * Replace the current stores and emit a 'change' event if anything changed
+   * @param {Array} stores - New, validated store configurations
+   * @returns {Object} { added, removed, updated }
+   */
+  applyStores(stores) {
+    const changes = this.diffStores(this.stores, stores);
+    this.stores = stores;
+    this.loadErrors = [];
+
+    const { added, removed, updated } = changes;
+    if (added.length + removed.length + updated.length === 0) {
+      logger.info('Store config file changed, no store changes');
+      return changes;
+    }
+
+    logger.info(`Store config updated: ${added.length} added, ${removed.length} removed, ${updated.length} updated`);
+    this.emit('change', changes);
+    return changes;
+  }
+
+  /**
+   * Add a store to the config file
+   * @param {Object} entry - Store settings, in the same camelCase form as the config file
+   * @returns {Object} Added store configuration
+   * @throws {Error} With code STORE_EXISTS, NO_CONFIG_FILE or INVALID_STORE_CONFIG
+   */
+  addStore(entry) {
+    this.checkStoreFields(entry, ['id', ...Object.keys(ENV_KEYS)]);
+
+    const storeId = String(entry.id ?? '');
+    if (this.getStoreById(storeId)) {
+      throw configError('STORE_EXISTS', `Store ${storeId} already exists`);
+    }
+
+    this.editConfigFile(doc => doc.addIn(['stores'], doc.createNode(entry)));
+    logger.info(`Store ${storeId} added to ${this.configFile}`);
+    return this.getStoreById(storeId);
+  }
+
+  /**
+   * Change settings of a store in the config file
+   * @param {string} storeId - Store ID
+   * @param {Object} changes - Settings to change; null removes a setting so the default applies
+   * @returns {Object} Updated store configuration
+   * @throws {Error} With code STORE_NOT_FOUND, STORE_READ_ONLY, NO_CONFIG_FILE or INVALID_STORE_CONFIG
+   */
+  updateStore(storeId, changes) {
+    this.checkStoreFields(changes, Object.keys(ENV_KEYS));
+
+    this.editConfigFile((doc, index) => {
+      Object.entries(changes).forEach(([field, value]) => {
+        if (value === null) {
+          doc.deleteIn(['stores', index, field]);
+        } else {
+          doc.setIn(['stores', index, field], doc.createNode(value));
+        }
+      });
+    }, storeId);
+
+    logger.info(`Store ${storeId} updated in ${this.configFile} (${Object.keys(changes).join(', ')})`);
+    return this.getStoreById(storeId);
+  }
+
+  /**
+   * Enable or disable a store in the config file
+   * @param {string} storeId - Store ID
+   * @param {boolean} enabled - New state
+   * @returns {Object} Updated store configuration
+   */
+  setStoreEnabled(storeId, enabled) {
+    return this.updateStore(storeId, { enabled });
+  }
+
+  /**
+   * Remove a store from the config file
+   * @param {string} storeId - Store ID
+   * @returns {Object} Removed store configuration
+   * @throws {Error} With code STORE_NOT_FOUND, STORE_READ_ONLY or NO_CONFIG_FILE
+   */
+  removeStore(storeId) {
+    const store = this.getStoreById(storeId);
+
+    this.editConfigFile((doc, index) => doc.deleteIn(['stores', index]), storeId);
+    logger.info(`Store ${storeId} removed from ${this.configFile}`);
+    return store;
+  }
+
+  /**
+   * Reject unknown settings and settings of the wrong type
+   * @param {Object} fields - Store settings
+   * @param {Array} allowed - Allowed setting names
+   * @throws {Error} With code INVALID_STORE_CONFIG
+   */
+  checkStoreFields(fields, allowed) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw configError('INVALID_STORE_CONFIG', 'Store settings must be an object');
+    }
+
+    const errors = [];
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (!allowed.includes(field)) {
+        errors.push(`Unknown setting "${field}"`);
+      } else if (MAP_FIELDS.includes(field) && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+        errors.push(`"${field}" must be an object`);
+      } else if (field === 'tags' && value !== null && !Array.isArray(value)) {
+        errors.push('"tags" must be a list');
+      }
+    });
+
+    if (errors.length > 0) {
+      throw configError('INVALID_STORE_CONFIG', 'Invalid store settings', errors);
+    }
+  }
+
+  /**
+   * Edit the config file, validate the result and apply it
+   * YAML comments and formatting are kept. The file is only written if every store is still valid
+   * @param {Function} edit - Called with (document, index of the store in the file's store list)
+   * @param {string} storeId - Store being edited (omit when adding a store)
+   * @throws {Error} With code STORE_NOT_FOUND, STORE_READ_ONLY, NO_CONFIG_FILE or INVALID_STORE_CONFIG
+   */
+  editConfigFile(edit, storeId = null) {
+    if (!this.configFile) {
+      throw configError('NO_CONFIG_FILE', 'Stores can only be changed at runtime when STORES_CONFIG_FILE is set');
+    }
+
+    const doc = YAML.parseDocument(this.readConfigFile());
+    if (doc.errors.length > 0) {
+      throw configError('INVALID_STORE_CONFIG', `Config file ${this.configFile} cannot be parsed`, doc.errors.map(error => error.message));
+    }
+
+    if (!doc.contents) {
+      doc.contents = doc.createNode({});
+    }
+    if (!doc.has('stores')) {
+      doc.set('stores', doc.createNode([]));
+    }
+
+    let index = -1;
+    if (storeId !== null) {
+      const entries = doc.toJS().stores || [];
+      index = Array.isArray(entries) ? entries.findIndex(entry => String(entry?.id) === storeId) : -1;
+
+      if (index === -1) {
+        if (this.getStoreById(storeId)?.source === 'env') {
+          throw configError('STORE_READ_ONLY', `Store ${storeId} is configured through environment variables`);
+        }
+        throw configError('STORE_NOT_FOUND', `Store ${storeId} not found`);
+      }
+    }
+
+    edit(doc, index);
+
+    const content = this.configFile.endsWith('.json')
+      ? `${JSON.stringify(doc.toJS(), null, 2)}\n`
+      : doc.toString();
+
+    let stores;
+    try {
+      stores = [...this.loadEnvStores(), ...this.buildFileStores(this.parseConfigFile(content))];
+    } catch (error) {
+      throw configError('INVALID_STORE_CONFIG', error.message);
+    }
+
+    const errors = this.validateStores(stores);
+    if (errors.length > 0) {
+      throw configError('INVALID_STORE_CONFIG', 'Invalid store configuration', errors);
+    }
+
+    // Write atomically; the watcher ignores the change since the content is already known
+    const tmpPath = `${this.configFile}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, this.configFile);
+    this.fileContent = content;
+
+    this.applyStores(stores);
+  }
+
+  /**
+   * Compare two store lists by ID
+   * @param {Array} previous - Current stores
+   * @param {Array} next - Reloaded stores
+   * @returns {Object} { added, removed, updated } where updated holds { previous, store } pairs
+   */
+  diffStores(previous, next) {
+    const previousById = new Map(previous.map(store => [store.id, store]));
+    const nextIds = new Set(next.map(store => store.id));
+
+    return {
+      added: next.filter(store => !previousById.has(store.id)),
+      removed: previous.filter(store => !nextIds.has(store.id)),
+      updated: next
+        .filter(store => previousById.has(store.id)
+          && JSON.stringify(previousById.get(store.id)) !== JSON.stringify(store))
+        .map(store => ({ previous: previousById.get(store.id), store }))
+    };
   }
 
   /**
@@ -92,12 +644,22 @@ class StoreConfig {
 
   /**
    * Validate store configurations
+   * @param {Array} stores - Stores to validate (defaults to the current stores)
    * @returns {Array} Array of validation errors (empty if all valid)
    */
-  validateStores() {
-    const errors = [];
+  validateStores(stores = this.stores) {
+    const errors = stores === this.stores ? [...this.loadErrors] : [];
+    const seenIds = new Set();
+
+    stores.forEach(store => {
+      // Check the ID
+      if (!STORE_ID_PATTERN.test(store.id)) {
+        errors.push(`Store "${store.id}": ID is required and may only contain letters, digits, "-" and "_"`);
+      } else if (seenIds.has(store.id)) {
+        errors.push(`Store ${store.id}: ID is used by more than one store`);
+      }
+      seenIds.add(store.id);
 
-    this.stores.forEach(store => {
       // Check required fields
       if (!store.url) {
         errors.push(`Store ${store.id}: URL is required`);
@@ -114,15 +676,62 @@ class StoreConfig {
         errors.push(`Store ${store.id}: URL must start with http:// or https://`);
       }
 
+      // Validate how credentials are sent
+      if (!AUTH_METHODS.includes(store.authMethod)) {
+        errors.push(`Store ${store.id}: Auth method must be one of ${AUTH_METHODS.join(', ')}`);
+      }
+
       // Validate scrape interval (minimum 1 minute)
       if (store.scrapeInterval < 60000) {
         errors.push(`Store ${store.id}: Scrape interval must be at least 60000ms (1 minute)`);
       }
 
+      // Validate timezone (IANA name or UTC offset)
+      if (store.timezone && !isValidTimeZone(store.timezone)) {
+        errors.push(`Store ${store.id}: Timezone must be an IANA name (e.g. Europe/Berlin) or a UTC offset (e.g. +02:00)`);
+      }
+
       // Validate timeout (minimum 5 seconds)
       if (store.timeout < 5000) {
         errors.push(`Store ${store.id}: Timeout must be at least 5000ms (5 seconds)`);
       }
+
+      // Validate low stock thresholds
+      if (store.lowStockThreshold < 0) {
+        errors.push(`Store ${store.id}: Low stock threshold must be 0 or more`);
+      }
+      Object.entries(store.categoryLowStockThresholds).forEach(([category, threshold]) => {
+        if (!Number.isInteger(threshold) || threshold < 0) {
+          errors.push(`Store ${store.id}: Low stock threshold for category "${category}" must be a number, 0 or more`);
+        }
+      });
+
+      // Validate variation fetching limits
+      if (store.variationConcurrency < 1 || store.variationConcurrency > 20) {
+        errors.push(`Store ${store.id}: Variation concurrency must be between 1 and 20`);
+      }
+      if (store.variationMaxPages < 1) {
+        errors.push(`Store ${store.id}: Variation max pages must be at least 1`);
+      }
+
+      // Validate the address used for country metrics
+      if (!COUNTRY_ADDRESSES.includes(store.countryAddress)) {
+        errors.push(`Store ${store.id}: Country address must be one of ${COUNTRY_ADDRESSES.join(', ')}`);
+      }
+
+      // Validate order SLAs
+      Object.entries(store.orderSlaHours).forEach(([status, hours]) => {
+        if (!Number.isFinite(hours) || hours <= 0) {
+          errors.push(`Store ${store.id}: SLA for order status "${status}" must be a number of hours greater than 0`);
+        }
+      });
+
+      // Validate label names (exported as Prometheus label values, but must be usable in PromQL joins)
+      Object.keys(store.labels).forEach(name => {
+        if (!LABEL_NAME_PATTERN.test(name)) {
+          errors.push(`Store ${store.id}: Label name "${name}" must match ${LABEL_NAME_PATTERN}`);
+        }
+      });
     });
 
     return errors;
@@ -132,4 +741,4 @@ class StoreConfig {
 // Create and export singleton instance
 const storeConfig = new StoreConfig();
 
-export default storeConfig;
\ No newline at end of file
+export default storeConfig;
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import net from 'net';
+import logger from '../utils/logger.js';
+import { registerSecret } from '../utils/redact.js';
+
+// Scopes in increasing order of privilege; a credential grants its own scope and every scope below it
+export const SCOPES = ['read', 'admin'];
+
+/**
+ * Hash a secret so credentials can be compared in constant time regardless of length
+ * @param {string} value - Secret
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Split a comma-separated env var into trimmed, non-empty entries
+ * @param {string} value - Env var value
+ * @returns {Array} Entries
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Bearer token / HTTP Basic authentication with read and admin scopes, plus optional IP allowlists
+ * Configured through AUTH_{READ,ADMIN}_TOKENS, AUTH_{READ,ADMIN}_USERS and AUTH_{READ,ADMIN}_ALLOWLIST
+ */
+class HttpAuth {
+  /**
+   * @param {Object} options - Auth options
+   * @param {Function} options.onDenied - Called with (route, reason) for every rejected request
+   */
+  constructor(options = {}) {
+    this.onDenied = options.onDenied || (() => {});
+
+    // Accepted credentials: { type: 'token'|'basic', name, scope, hash }
+    this.credentials = [];
+
+    SCOPES.forEach(scope => {
+      const prefix = `AUTH_${scope.toUpperCase()}`;
+
+      splitList(process.env[`${prefix}_TOKENS`]).forEach((token, index) => {
+        registerSecret(token);
+        this.credentials.push({ type: 'token', name: `${scope}-token-${index + 1}`, scope, hash: hashSecret(token) });
+      });
+
+      splitList(process.env[`${prefix}_USERS`]).forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+          logger.warn(`Ignoring malformed ${prefix}_USERS entry (expected user:password)`);
+          return;
+        }
+
+        const user = entry.slice(0, separator);
+        registerSecret(entry.slice(separator + 1));
+        this.credentials.push({ type: 'basic', name: user, scope, hash: hashSecret(entry) });
+      });
+    });
+
+    // ADMIN_TOKEN is kept as an admin bearer token
+    if (process.env.ADMIN_TOKEN) {
+      registerSecret(process.env.ADMIN_TOKEN);
+      this.credentials.push({ type: 'token', name: 'admin-token', scope: 'admin', hash: hashSecret(process.env.ADMIN_TOKEN) });
+    }
+
+    // scope -> BlockList of allowed addresses (no entry = any address)
+    this.allowlists = new Map();
+    SCOPES.forEach(scope => {
+      const entries = splitList(process.env[`AUTH_${scope.toUpperCase()}_ALLOWLIST`]);
+      if (entries.length > 0) {
+        this.allowlists.set(scope, this.createAllowlist(entries, scope));
+      }
+    });
+
+    this.enabled = this.credentials.length > 0;
+    this.hasBasicUsers = this.credentials.some(credential => credential.type === 'basic');
+
+    if (this.enabled) {
+      logger.info(`HTTP authentication enabled with ${this.credentials.length} credentials`);
+    } else {
+      logger.warn('HTTP authentication is disabled: /metrics, /stores, /collect and /test are open to anyone who can reach the port');
+    }
+  }
+
+  /**
+   * Build a BlockList from IP addresses and CIDR ranges
+   * @param {Array} entries - Addresses or ranges (e.g. '10.0.0.0/8', '::1')
+   * @param {string} scope - Scope, for log messages
+   * @returns {net.BlockList} Allowed addresses
+   */
+  createAllowlist(entries, scope) {
+    const allowlist = new net.BlockList();
+
+    entries.forEach(entry => {
+      const [address, prefix] = entry.split('/');
+      const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+      try {
+        if (prefix !== undefined) {
+          allowlist.addSubnet(address, parseInt(prefix), family);
+        } else {
+          allowlist.addAddress(address, family);
+        }
+      } catch (error) {
+        logger.warn(`Ignoring invalid ${scope} allowlist entry "${entry}":`, error.message);
+      }
+    });
+
+    return allowlist;
+  }
+
+  /**
+   * Check whether an address is on a scope's allowlist
+   * @param {string} scope - Scope
+   * @param {string} ip - Client address
+   * @returns {boolean} True if allowed (or no allowlist is configured)
+   */
+  isAllowedAddress(scope, ip) {
+    const allowlist = this.allowlists.get(scope);
+    if (!allowlist) {
+      return true;
+    }
+
+    // IPv4 clients on a dual-stack socket show up as IPv4-mapped IPv6 addresses
+    const address = (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+    return net.isIP(address) !== 0 && allowlist.check(address, family);
+  }
+
+  /**
+   * Identify the caller from the Authorization header
+   * @param {Request} req - Express request
+   * @returns {Object|null} Matching credential ({ name, scope }) or null
+   */
+  authenticate(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, value = ''] = header.split(/\s+/, 2);
+    let type;
+    let secret;
+
+    if (/^bearer$/i.test(scheme)) {
+      type = 'token';
+      secret = value;
+    } else if (/^basic$/i.test(scheme)) {
+      type = 'basic';
+      secret = Buffer.from(value, 'base64').toString('utf8');
+    } else {
+      return null;
+    }
+
+    const hash = hashSecret(secret);
+    const match = this.credentials.find(credential => credential.type === type
+      && crypto.timingSafeEqual(credential.hash, hash));
+
+    return match ? { name: match.name, scope: match.scope } : null;
+  }
+
+  /**
+   * Check whether a caller's scope covers the required scope
+   * @param {Object|null} identity - Result of authenticate()
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if the scope is granted
+   */
+  hasScope(identity, scope) {
+    return Boolean(identity) && SCOPES.indexOf(identity.scope) >= SCOPES.indexOf(scope);
+  }
+
+  /**
+   * Create middleware that requires a scope
+   * Without any configured credentials every request is let through, unless options.requireCredentials is set
+   * @param {string} scope - Required scope ('read' or 'admin')
+   * @param {Object} options - Middleware options
+   * @param {boolean} options.requireCredentials - Reject requests when no credentials are configured at all
+   * @returns {Function} Express middleware
+   */
+  require(scope, options = {}) {
+    return (req, res, next) => {
+      if (!this.isAllowedAddress(scope, req.ip)) {
+        return this.deny(req, res, 403, 'ip_not_allowed', 'Forbidden');
+      }
+
+      if (!this.enabled) {
+        if (options.requireCredentials) {
+          return this.deny(req, res, 403, 'auth_not_configured', 'This endpoint is disabled until admin credentials are configured');
+        }
+        return next();
+      }
+
+      if (!req.get('Authorization')) {
+        return this.deny(req, res, 401, 'missing_credentials', 'Unauthorized');
+      }
+
+      const identity = this.authenticate(req);
+      if (!identity) {
+        return this.deny(req, res, 401, 'invalid_credentials', 'Unauthorized');
+      }
+
+      if (!this.hasScope(identity, scope)) {
+        return this.deny(req, res, 403, 'insufficient_scope', 'Forbidden', identity);
+      }
+
+      req.auth = identity;
+      next();
+    };
+  }
+
+  /**
+   * Reject a request, log it and count it
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   * @param {number} status - HTTP status
+   * @param {string} reason - Reason label
+   * @param {string} message - Error message for the response
+   * @param {Object} identity - Authenticated caller, if any
+   */
+  deny(req, res, status, reason, message, identity = null) {
+    const route = req.route?.path || req.path;
+    const who = identity ? `${identity.name} from ${req.ip}` : req.ip;
+
+    logger.warn(`Rejected ${req.method} ${req.path} from ${who}: ${reason}`);
+    this.onDenied(route, reason);
+
+    if (status === 401) {
+      res.set('WWW-Authenticate', this.hasBasicUsers ? 'Basic realm="woometrics"' : 'Bearer');
+    }
+
+    res.status(status).json({ error: message });
+  }
+}
+
+export default HttpAuth;
@@ -0,0 +1,84 @@
+import logger from '../utils/logger.js';
+
+// Drop expired windows once this many clients are tracked
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Fixed-window rate limiter per client (authenticated name, or IP address)
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.limit - Requests allowed per window (0 disables the limiter)
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {Function} options.onLimited - Called with the route for every rejected request
+   */
+  constructor(options = {}) {
+    this.limit = Number.isFinite(options.limit) ? options.limit : 6;
+    this.windowMs = options.windowMs || 60000;
+    this.onLimited = options.onLimited || (() => {});
+
+    // client -> { count, resetAt }
+    this.windows = new Map();
+  }
+
+  /**
+   * Count a request for a client
+   * @param {string} client - Client key
+   * @returns {Object} { allowed, retryAfterMs }
+   */
+  hit(client) {
+    const now = Date.now();
+
+    if (this.windows.size > PRUNE_THRESHOLD) {
+      this.windows.forEach((window, key) => {
+        if (window.resetAt <= now) {
+          this.windows.delete(key);
+        }
+      });
+    }
+
+    let window = this.windows.get(client);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(client, window);
+    }
+
+    window.count++;
+
+    return {
+      allowed: window.count <= this.limit,
+      retryAfterMs: window.resetAt - now
+    };
+  }
+
+  /**
+   * Create the Express middleware
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (this.limit <= 0) {
+        return next();
+      }
+
+      const client = req.auth?.name || req.ip;
+      const { allowed, retryAfterMs } = this.hit(client);
+
+      if (allowed) {
+        return next();
+      }
+
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      logger.warn(`Rate limited ${req.method} ${req.path} from ${client}, retry in ${retryAfter}s`);
+      this.onLimited(req.route?.path || req.path);
+
+      res.set('Retry-After', String(retryAfter)).status(429).json({
+        error: 'Too many requests',
+        retryAfter
+      });
+    };
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,124 @@
+import logger from '../utils/logger.js';
+
+// Circuit breaker states
+export const BREAKER_STATES = {
+  CLOSED: 'closed',
+  HALF_OPEN: 'half_open',
+  OPEN: 'open'
+};
+
+/**
+ * Simple circuit breaker for a single store
+ * Opens after a number of consecutive failures and lets a single probe through once the reset timeout has passed
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Name used in log messages
+   * @param {number} options.threshold - Consecutive failures before opening
+   * @param {number} options.resetTimeout - Time in ms before an open breaker allows a probe request
+   * @param {Function} options.onStateChange - Called with (newState, previousState) on every transition
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.threshold = options.threshold || 5;
+    this.resetTimeout = options.resetTimeout || 60000;
+    this.onStateChange = options.onStateChange || (() => {});
+
+    this.state = BREAKER_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+
+    // Whether the single half-open probe request is still running
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Check whether a request may be sent
+   * While half-open, the first caller becomes the probe and every other request is rejected until
+   * the probe is settled with recordSuccess(), recordFailure() or releaseProbe()
+   * @returns {boolean} True if the request is allowed
+   */
+  canRequest() {
+    if (this.state === BREAKER_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.transition(BREAKER_STATES.HALF_OPEN);
+    }
+
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      if (this.probeInFlight) {
+        return false;
+      }
+
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return this.state !== BREAKER_STATES.OPEN;
+  }
+
+  /**
+   * Let another request probe a half-open breaker, for a probe that ended without showing
+   * whether the store is healthy (e.g. a 404)
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.probeInFlight = false;
+
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      this.transition(BREAKER_STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed request (after retries were exhausted)
+   */
+  recordFailure() {
+    this.failures++;
+    this.probeInFlight = false;
+
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+      if (this.state !== BREAKER_STATES.OPEN) {
+        this.transition(BREAKER_STATES.OPEN);
+      }
+    }
+  }
+
+  /**
+   * Get time in ms until an open breaker allows a probe
+   * @returns {number} Remaining time in ms (0 if not open)
+   */
+  getRemainingOpenTime() {
+    if (this.state !== BREAKER_STATES.OPEN) {
+      return 0;
+    }
+
+    return Math.max(this.resetTimeout - (Date.now() - this.openedAt), 0);
+  }
+
+  /**
+   * Move to a new state and notify listeners
+   * @param {string} state - New state
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === BREAKER_STATES.OPEN) {
+      logger.warn(`Circuit breaker opened for ${this.name} after ${this.failures} consecutive failures`);
+    } else {
+      logger.info(`Circuit breaker for ${this.name} is now ${state}`);
+    }
+
+    this.onStateChange(state, previous);
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,183 @@
+import logger from '../utils/logger.js';
+
+// Registrations kept per store; new customer counts go back to the start of this_year at most
+const REGISTRATION_WINDOW_MS = 370 * 24 * 60 * 60 * 1000;
+
+/**
+ * In-memory per-store cache of recent customer registrations and customer lifetime values
+ * Customers are walked newest first and only until the first one already cached, so a collection
+ * costs a single request unless customers registered since the last one. Lifetime values
+ * (total_spent / orders_count) change for existing customers too, so they come from a walk over
+ * every customer, repeated once per refresh interval
+ */
+class CustomerCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.valueRefreshInterval - How long fetched lifetime values are used before refreshing (ms)
+   */
+  constructor(options = {}) {
+    this.valueRefreshInterval = options.valueRefreshInterval || parseInt(process.env.CUSTOMER_VALUE_REFRESH) || 3600000;
+
+    // storeId -> Map<id, { id, date_created, date_created_gmt }>
+    this.stores = new Map();
+
+    // storeId -> in-flight sync promise, shared by concurrent callers
+    this.syncing = new Map();
+
+    // storeId -> { fetchedAt, customers: Array<{ id, total_spent, orders_count }> }
+    this.values = new Map();
+
+    // storeId -> in-flight lifetime value refresh, shared by concurrent callers
+    this.refreshing = new Map();
+
+    // storeId -> pending clear, which waits for the in-flight sync and refresh
+    this.clearing = new Map();
+  }
+
+  /**
+   * Sync the cache for a store and return its recent registrations
+   * Concurrent calls for the same store share a single sync
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Array>} Customers registered within the registration window
+   */
+  sync(wooClient) {
+    const { id: storeId } = wooClient.getStoreInfo();
+
+    // Don't join the sync a pending clear is waiting for; start a fresh one once the cache is gone
+    if (this.clearing.has(storeId)) {
+      return this.clearing.get(storeId).then(() => this.sync(wooClient));
+    }
+
+    if (!this.syncing.has(storeId)) {
+      const promise = this.syncStore(storeId, wooClient)
+        .finally(() => this.syncing.delete(storeId));
+      this.syncing.set(storeId, promise);
+    }
+
+    return this.syncing.get(storeId);
+  }
+
+  /**
+   * Fetch customers registered since the last sync and drop registrations outside the window
+   * Deleted customers are not detected and stay counted until they leave the window
+   * @param {string} storeId - Store ID
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Array>} Cached customers
+   */
+  async syncStore(storeId, wooClient) {
+    const customers = new Map(this.stores.get(storeId) || []);
+    const cutoff = Date.now() - REGISTRATION_WINDOW_MS;
+    const isOutsideWindow = customer => (this.getRegisteredAt(customer) ?? Infinity) < cutoff;
+
+    if (customers.size === 0) {
+      logger.info(`No customer cache for store ${storeId}, fetching registrations of the last ${Math.round(REGISTRATION_WINDOW_MS / 86400000)} days`);
+    }
+
+    const fetched = await wooClient.getNewCustomers(customer => customers.has(customer.id) || isOutsideWindow(customer));
+
+    fetched.forEach(customer => {
+      customers.set(customer.id, {
+        id: customer.id,
+        date_created: customer.date_created,
+        date_created_gmt: customer.date_created_gmt
+      });
+    });
+
+    customers.forEach((customer, id) => {
+      if (isOutsideWindow(customer)) {
+        customers.delete(id);
+      }
+    });
+
+    // Only replace the cached set once the whole walk succeeded
+    this.stores.set(storeId, customers);
+    return Array.from(customers.values());
+  }
+
+  /**
+   * Get the lifetime values of every customer, walking all customers when the cached values are older
+   * than the refresh interval
+   * Concurrent callers share a single refresh; a failed refresh keeps the previous values
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Array>} { id, total_spent, orders_count } per customer
+   */
+  async getLifetimeValues(wooClient) {
+    const { id: storeId } = wooClient.getStoreInfo();
+
+    if (this.clearing.has(storeId)) {
+      await this.clearing.get(storeId);
+    }
+
+    const cached = this.values.get(storeId);
+    if (cached && Date.now() - cached.fetchedAt < this.valueRefreshInterval) {
+      return cached.customers;
+    }
+
+    if (!this.refreshing.has(storeId)) {
+      const promise = this.refreshValues(storeId, wooClient)
+        .finally(() => this.refreshing.delete(storeId));
+      this.refreshing.set(storeId, promise);
+    }
+
+    try {
+      return await this.refreshing.get(storeId);
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+
+      logger.warn(`Could not refresh customer lifetime values for store ${storeId}, keeping values from ${new Date(cached.fetchedAt).toISOString()}:`, error.message);
+      return cached.customers;
+    }
+  }
+
+  /**
+   * Fetch the lifetime values of every customer
+   * @param {string} storeId - Store ID
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Array>} { id, total_spent, orders_count } per customer
+   */
+  async refreshValues(storeId, wooClient) {
+    const customers = (await wooClient.getAllCustomers()).map(customer => ({
+      id: customer.id,
+      total_spent: customer.total_spent,
+      orders_count: customer.orders_count
+    }));
+
+    this.values.set(storeId, { fetchedAt: Date.now(), customers });
+    return customers;
+  }
+
+  /**
+   * Get a customer's registration time
+   * @param {Object} customer - Customer
+   * @returns {number|null} Timestamp in ms or null if the customer has no registration date
+   */
+  getRegisteredAt(customer) {
+    const value = customer.date_created_gmt;
+    const time = value ? Date.parse(value.endsWith('Z') ? value : `${value}Z`) : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Drop the cache for a store
+   * Waits for a sync or refresh in progress, which would otherwise store the old customers again when it finishes
+   * @param {string} storeId - Store ID
+   * @returns {Promise<void>}
+   */
+  clear(storeId) {
+    if (!this.clearing.has(storeId)) {
+      const promise = Promise.allSettled([this.syncing.get(storeId), this.refreshing.get(storeId)])
+        .then(() => {
+          this.stores.delete(storeId);
+          this.values.delete(storeId);
+        })
+        .finally(() => this.clearing.delete(storeId));
+      this.clearing.set(storeId, promise);
+    }
+
+    return this.clearing.get(storeId);
+  }
+}
+
+export default CustomerCache;
@@ -0,0 +1,154 @@
+import logger from '../utils/logger.js';
+import FileRateProvider from './file-rate-provider.js';
+import StaticRateProvider from './static-rate-provider.js';
+import HttpRateProvider from './http-rate-provider.js';
+
+/**
+ * Converts amounts into a reporting currency using rates from a pluggable provider
+ * A provider is any object with an async getRates() method returning { base, rates }, where rates
+ * are the units of each currency per unit of the base currency
+ * Configured through REPORTING_CURRENCY, EXCHANGE_RATE_PROVIDER and EXCHANGE_RATE_REFRESH
+ */
+class ExchangeRateService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.reportingCurrency - Currency amounts are converted into (conversion is off without one)
+   * @param {string} options.provider - Provider name
+   * @param {number} options.refreshInterval - How long fetched rates are used before refreshing (ms)
+   */
+  constructor(options = {}) {
+    this.reportingCurrency = (options.reportingCurrency || process.env.REPORTING_CURRENCY || '').toUpperCase() || null;
+    this.refreshInterval = options.refreshInterval || parseInt(process.env.EXCHANGE_RATE_REFRESH) || 3600000;
+    this.providerName = options.provider || process.env.EXCHANGE_RATE_PROVIDER || this.getDefaultProvider();
+
+    // provider name -> provider
+    this.providers = new Map();
+
+    // Last fetched rates: { base, rates, fetchedAt }
+    this.current = null;
+    this.refreshing = null;
+
+    this.register('file', new FileRateProvider());
+    this.register('static', new StaticRateProvider());
+    this.register('http', new HttpRateProvider());
+
+    if (this.enabled) {
+      logger.info(`Currency conversion into ${this.reportingCurrency} enabled using the ${this.providerName} rate provider`);
+    }
+  }
+
+  /**
+   * Whether amounts are converted into a reporting currency
+   * @returns {boolean} True if REPORTING_CURRENCY is set
+   */
+  get enabled() {
+    return this.reportingCurrency !== null;
+  }
+
+  /**
+   * Pick a provider from the configured rate source
+   * @returns {string} Provider name
+   */
+  getDefaultProvider() {
+    if (process.env.EXCHANGE_RATES_FILE) {
+      return 'file';
+    }
+    if (process.env.EXCHANGE_RATES_URL) {
+      return 'http';
+    }
+    return 'static';
+  }
+
+  /**
+   * Register an exchange rate provider
+   * @param {string} name - Provider name (selected with EXCHANGE_RATE_PROVIDER)
+   * @param {Object} provider - Object with an async getRates() method
+   */
+  register(name, provider) {
+    if (typeof provider?.getRates !== 'function') {
+      throw new Error(`Exchange rate provider ${name} must implement getRates()`);
+    }
+
+    this.providers.set(name, provider);
+    logger.debug(`Exchange rate provider registered: ${name}`);
+  }
+
+  /**
+   * Get the current rates, refreshing them from the provider when they are older than the refresh interval
+   * Concurrent callers share a single refresh; a failed refresh keeps the previous rates
+   * @returns {Promise<Object|null>} { base, rates, fetchedAt } or null if no rates could be loaded yet
+   */
+  async getRates() {
+    if (this.current && Date.now() - this.current.fetchedAt < this.refreshInterval) {
+      return this.current;
+    }
+
+    if (!this.refreshing) {
+      this.refreshing = this.refresh()
+        .finally(() => { this.refreshing = null; });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Load rates from the configured provider
+   * @returns {Promise<Object|null>} Rates, or the previous rates if loading failed
+   */
+  async refresh() {
+    try {
+      const provider = this.providers.get(this.providerName);
+      if (!provider) {
+        throw new Error(`Unknown exchange rate provider "${this.providerName}"`);
+      }
+
+      const { base, rates } = await provider.getRates();
+      if (!base || !rates || typeof rates !== 'object') {
+        throw new Error('provider returned no base currency or rates');
+      }
+
+      // Normalize currency codes and keep only usable rates
+      const normalized = Object.fromEntries(
+        Object.entries(rates)
+          .map(([currency, rate]) => [currency.toUpperCase(), parseFloat(rate)])
+          .filter(([, rate]) => Number.isFinite(rate) && rate > 0)
+      );
+      normalized[base.toUpperCase()] = 1;
+
+      this.current = { base: base.toUpperCase(), rates: normalized, fetchedAt: Date.now() };
+      logger.debug(`Loaded ${Object.keys(normalized).length} exchange rates (base ${this.current.base})`);
+
+    } catch (error) {
+      logger.warn(`Could not load exchange rates from the ${this.providerName} provider:`, error.message);
+    }
+
+    return this.current;
+  }
+
+  /**
+   * Get the rate that converts one unit of a currency into the reporting currency
+   * @param {Object} rates - Result of getRates()
+   * @param {string} currency - Source currency
+   * @returns {number|null} Rate or null if either currency has no rate
+   */
+  getRate(rates, currency) {
+    const from = rates.rates[currency.toUpperCase()];
+    const to = rates.rates[this.reportingCurrency];
+
+    return from && to ? to / from : null;
+  }
+
+  /**
+   * Convert an amount into the reporting currency
+   * @param {Object} rates - Result of getRates()
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency of the amount
+   * @returns {number|null} Converted amount or null if there is no rate
+   */
+  convert(rates, amount, currency) {
+    const rate = this.getRate(rates, currency);
+    return rate === null ? null : amount * rate;
+  }
+}
+
+export default ExchangeRateService;
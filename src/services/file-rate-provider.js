@@ -0,0 +1,37 @@
+import fs from 'fs';
+import YAML from 'yaml';
+
+/**
+ * Exchange rate provider reading a local JSON or YAML file
+ * The file holds a base currency and the units of each currency per unit of the base:
+ *   base: USD
+ *   rates:
+ *     EUR: 0.92
+ */
+class FileRateProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.file - Rates file (defaults to EXCHANGE_RATES_FILE)
+   */
+  constructor(options = {}) {
+    this.file = options.file || process.env.EXCHANGE_RATES_FILE;
+  }
+
+  /**
+   * Read the rates file
+   * The file is read on every call so edits are picked up on the next refresh
+   * @returns {Promise<Object>} { base, rates }
+   */
+  async getRates() {
+    if (!this.file) {
+      throw new Error('EXCHANGE_RATES_FILE is not set');
+    }
+
+    const content = await fs.promises.readFile(this.file, 'utf8');
+    const data = this.file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+
+    return { base: data?.base, rates: data?.rates };
+  }
+}
+
+export default FileRateProvider;
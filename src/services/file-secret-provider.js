@@ -0,0 +1,35 @@
+import fs from 'fs';
+import YAML from 'yaml';
+
+/**
+ * Secret provider for Docker/Kubernetes secret files
+ * References are a file path ("/run/secrets/store_secret"), or a path and key into a
+ * JSON or YAML file ("/etc/woometrics/secrets.yaml#eu_consumer_secret")
+ */
+class FileSecretProvider {
+  /**
+   * Read a secret from a file
+   * The file is read on every call so rotated secrets are picked up when a store is re-created
+   * @param {string} reference - File path, optionally followed by #key
+   * @returns {Promise<string>} Secret value
+   */
+  async getSecret(reference) {
+    const [filePath, key] = reference.split('#');
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    if (!key) {
+      return content.trim();
+    }
+
+    const data = filePath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    const value = data?.[key];
+
+    if (value === undefined || value === null) {
+      throw new Error(`Key ${key} not found in ${filePath}`);
+    }
+
+    return String(value);
+  }
+}
+
+export default FileSecretProvider;
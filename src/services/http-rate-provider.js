@@ -0,0 +1,35 @@
+/**
+ * Exchange rate provider fetching { base, rates } JSON from EXCHANGE_RATES_URL
+ * (the response format of Frankfurter, exchangerate.host and similar APIs)
+ */
+class HttpRateProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Rates URL (defaults to EXCHANGE_RATES_URL)
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    this.url = options.url || process.env.EXCHANGE_RATES_URL;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Fetch the current rates
+   * @returns {Promise<Object>} { base, rates }
+   */
+  async getRates() {
+    if (!this.url) {
+      throw new Error('EXCHANGE_RATES_URL is not set');
+    }
+
+    const response = await fetch(this.url, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) {
+      throw new Error(`Exchange rate source returned HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    return { base: body?.base, rates: body?.rates };
+  }
+}
+
+export default HttpRateProvider;
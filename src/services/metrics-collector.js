@@ -1,5 +1,114 @@
 import client from 'prom-client';
 import logger from '../utils/logger.js';
+import OrderCache from './order-cache.js';
+import CustomerCache from './customer-cache.js';
+import ExchangeRateService from './exchange-rate-service.js';
+import StoreSnapshot from './store-snapshot.js';
+import { BREAKER_STATES } from './circuit-breaker.js';
+import { PERIODS, createPeriodMatcher, formatLocalDate } from '../utils/time-windows.js';
+
+// Order statuses that are always counted, even when the cache has none
+const CORE_ORDER_STATUSES = ['pending', 'processing', 'on-hold', 'completed', 'cancelled', 'refunded', 'failed'];
+
+// Product statuses counted via X-WP-Total
+const PRODUCT_STATUSES = ['publish', 'draft', 'pending', 'private'];
+
+// Order statuses whose discounts count as given
+const PAID_ORDER_STATUSES = ['processing', 'completed'];
+
+// Days before expiry at which a coupon counts as expiring soon
+const COUPON_EXPIRY_WARNING_DAYS = parseInt(process.env.COUPON_EXPIRY_WARNING_DAYS) || 7;
+
+// Open order statuses whose age is tracked for fulfillment SLAs
+const ORDER_AGE_STATUSES = ['pending', 'processing', 'on-hold'];
+
+// Order age histogram buckets in hours
+const ORDER_AGE_BUCKETS = (process.env.ORDER_AGE_BUCKETS || '1,4,12,24,48,72,168,336')
+  .split(',')
+  .map(bucket => parseFloat(bucket))
+  .filter(Number.isFinite)
+  .sort((a, b) => a - b);
+
+// Order value histogram buckets in the order's currency
+const ORDER_VALUE_BUCKETS = (process.env.ORDER_VALUE_BUCKETS || '10,25,50,100,250,500,1000,2500')
+  .split(',')
+  .map(bucket => parseFloat(bucket))
+  .filter(Number.isFinite)
+  .sort((a, b) => a - b);
+
+// Refund reasons exported per store (the rest are grouped as "other"), since reasons are free text
+const REFUND_REASON_LIMIT = 10;
+
+// Customer lifetime value histogram buckets in the store currency
+const CUSTOMER_VALUE_BUCKETS = (process.env.CUSTOMER_VALUE_BUCKETS || '50,100,250,500,1000,2500,5000')
+  .split(',')
+  .map(bucket => parseFloat(bucket))
+  .filter(Number.isFinite)
+  .sort((a, b) => a - b);
+
+// Orders per customer histogram buckets
+const CUSTOMER_ORDER_BUCKETS = [1, 2, 3, 5, 10, 20];
+
+// Label values kept per breakdown (payment methods, shipping methods, ...) before the rest are grouped as "other"
+const BREAKDOWN_TOP_N = parseInt(process.env.BREAKDOWN_TOP_N) || 10;
+
+// Countries exported per store before the lowest-volume ones are grouped as "other"
+const COUNTRY_TOP_N = parseInt(process.env.COUNTRY_TOP_N) || 25;
+
+// Optional fixed sets of payment gateway and shipping method IDs to export (everything else is "other")
+const PAYMENT_METHOD_ALLOWLIST = splitList(process.env.PAYMENT_METHOD_ALLOWLIST);
+const SHIPPING_METHOD_ALLOWLIST = splitList(process.env.SHIPPING_METHOD_ALLOWLIST);
+
+// SKUs exported per store before the rest are grouped as "other", and optional fixed sets of category slugs and SKUs
+const SKU_TOP_N = parseInt(process.env.SKU_TOP_N) || 20;
+const CATEGORY_ALLOWLIST = splitList(process.env.CATEGORY_ALLOWLIST);
+const SKU_ALLOWLIST = splitList(process.env.SKU_ALLOWLIST);
+
+// Longest product name exported in woocommerce_product_info
+const PRODUCT_NAME_MAX_LENGTH = 100;
+
+// Parts of completed order totals exported next to revenue; tax, shipping, fees and products add up to the order total
+const REVENUE_COMPONENTS = {
+  tax: 'Tax charged (including tax on shipping and fees)',
+  shipping: 'Shipping charged before tax',
+  discount: 'Discount given before tax',
+  fees: 'Fees charged before tax',
+  products: 'Net product revenue (line items after discounts, before tax)'
+};
+
+// Fields exported from the reports/sales endpoint
+const SALES_REPORT_FIELDS = {
+  total_sales: 'Gross sales',
+  net_sales: 'Net sales',
+  total_tax: 'Tax charged',
+  total_shipping: 'Shipping charged',
+  total_refunds: 'Refunded amount',
+  total_discount: 'Discount given'
+};
+
+// Report periods mapped to reports/sales query parameters (day is resolved per request)
+const SALES_REPORT_PERIODS = {
+  day: null,
+  week: { period: 'week' },
+  month: { period: 'month' },
+  year: { period: 'year' }
+};
+
+// Numeric values exported for each circuit breaker state
+const BREAKER_STATE_VALUES = {
+  [BREAKER_STATES.CLOSED]: 0,
+  [BREAKER_STATES.HALF_OPEN]: 1,
+  [BREAKER_STATES.OPEN]: 2
+};
+
+/**
+ * Split a comma-separated env var into trimmed, non-empty entries
+ * @param {string} value - Env var value
+ * @returns {Array} Entries
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
 
 /**
  * Prometheus Metrics Collector for WooCommerce stores
@@ -14,6 +123,24 @@ class MetricsCollector {
       app: 'woocommerce-prometheus-exporter'
     });
 
+    // Local order store, synced incrementally on each collection
+    this.orderCache = new OrderCache();
+
+    // Recent customer registrations, fetched newest first on each collection
+    this.customerCache = new CustomerCache();
+
+    // Conversion into REPORTING_CURRENCY for cross-store revenue totals
+    this.exchangeRates = new ExchangeRateService();
+
+    // Label sets published per store and collector: storeId -> scope -> gauge -> Map<labelKey, labels>
+    this.publishedSeries = new Map();
+
+    // Last snapshot publish time per store: storeId -> { storeName, publishedAt }
+    this.snapshotTimes = new Map();
+
+    // Counter and breaker series updated outside snapshots: storeId -> Map<labelKey, { metric, labels }>
+    this.storeSeries = new Map();
+
     // Initialize all metrics
     this.initializeMetrics();
     
@@ -48,6 +175,96 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    // Revenue converted into REPORTING_CURRENCY
+    this.convertedRevenueGauge = new client.Gauge({
+      name: 'woocommerce_revenue_converted',
+      help: 'Revenue of completed orders in all currencies, converted into the reporting currency',
+      labelNames: ['store_id', 'store_name', 'currency', 'period'],
+      registers: [this.register]
+    });
+
+    this.convertedNetRevenueGauge = new client.Gauge({
+      name: 'woocommerce_net_revenue_converted',
+      help: 'Net revenue in all currencies, converted into the reporting currency',
+      labelNames: ['store_id', 'store_name', 'currency', 'period'],
+      registers: [this.register]
+    });
+
+    // Sum of every store's converted revenue, computed at scrape time
+    const convertedRevenueGauge = this.convertedRevenueGauge;
+    this.crossStoreRevenueGauge = new client.Gauge({
+      name: 'woocommerce_total_revenue_all_stores',
+      help: 'Revenue of all stores converted into the reporting currency',
+      labelNames: ['currency', 'period'],
+      registers: [this.register],
+      async collect() {
+        this.reset();
+        const totals = new Map();
+        (await convertedRevenueGauge.get()).values.forEach(({ labels, value }) => {
+          const key = `${labels.currency}|${labels.period}`;
+          totals.set(key, (totals.get(key) || 0) + value);
+        });
+        totals.forEach((value, key) => {
+          const [currency, period] = key.split('|');
+          this.set({ currency, period }, value);
+        });
+      }
+    });
+
+    // Rates in use, computed at scrape time
+    const exchangeRates = this.exchangeRates;
+    this.exchangeRateGauge = new client.Gauge({
+      name: 'woocommerce_exchange_rate',
+      help: 'Units of the reporting currency per unit of each currency',
+      labelNames: ['currency', 'reporting_currency'],
+      registers: [this.register],
+      collect() {
+        this.reset();
+        if (exchangeRates.enabled && exchangeRates.current) {
+          Object.keys(exchangeRates.current.rates).forEach(currency => {
+            const rate = exchangeRates.getRate(exchangeRates.current, currency);
+            if (rate !== null) {
+              this.set({ currency, reporting_currency: exchangeRates.reportingCurrency }, rate);
+            }
+          });
+        }
+      }
+    });
+
+    // Revenue minus the refunds on the same orders
+    this.netRevenueGauge = new client.Gauge({
+      name: 'woocommerce_net_revenue',
+      help: 'Revenue of completed orders minus their refunds, by order date',
+      labelNames: ['store_id', 'store_name', 'currency', 'period'],
+      registers: [this.register]
+    });
+
+    // Revenue broken down into its components (one gauge per component)
+    this.revenueComponentGauges = {};
+    Object.entries(REVENUE_COMPONENTS).forEach(([component, description]) => {
+      this.revenueComponentGauges[component] = new client.Gauge({
+        name: `woocommerce_revenue_${component}`,
+        help: `${description} on completed orders, by order date`,
+        labelNames: ['store_id', 'store_name', 'currency', 'period'],
+        registers: [this.register]
+      });
+    });
+
+    // Refunds by the date they were issued
+    this.refundAmountGauge = new client.Gauge({
+      name: 'woocommerce_refund_amount',
+      help: 'Amount refunded by refund date and reason',
+      labelNames: ['store_id', 'store_name', 'currency', 'period', 'reason'],
+      registers: [this.register]
+    });
+
+    this.refundCountGauge = new client.Gauge({
+      name: 'woocommerce_refund_count',
+      help: 'Number of refunds by refund date and reason',
+      labelNames: ['store_id', 'store_name', 'currency', 'period', 'reason'],
+      registers: [this.register]
+    });
+
     // Revenue today
     this.revenueTodayGauge = new client.Gauge({
       name: 'woocommerce_revenue_today',
@@ -75,8 +292,16 @@ class MetricsCollector {
     // Low stock products
     this.lowStockProductsGauge = new client.Gauge({
       name: 'woocommerce_low_stock_products',
-      help: 'Number of products with low stock',
-      labelNames: ['store_id', 'store_name', 'threshold'],
+      help: 'Number of stock-managed products at or below their low stock threshold',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    // Store-wide default low stock threshold (STORE{N}_LOW_STOCK_THRESHOLD)
+    this.lowStockThresholdGauge = new client.Gauge({
+      name: 'woocommerce_low_stock_threshold',
+      help: 'Default low stock threshold for products without a product or category threshold',
+      labelNames: ['store_id', 'store_name'],
       registers: [this.register]
     });
 
@@ -88,6 +313,47 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    // Products on backorder
+    this.backorderProductsGauge = new client.Gauge({
+      name: 'woocommerce_backorder_products',
+      help: 'Number of products on backorder',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    // Variations of variable products
+    this.totalVariationsGauge = new client.Gauge({
+      name: 'woocommerce_total_variations',
+      help: 'Total number of variations of variable products',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    // Stock quantity of tracked products and variations (STORE{N}_STOCK_TRACKING_TAG)
+    // Variations carry their parent product ID and attributes, simple products leave both empty
+    this.productStockQuantityGauge = new client.Gauge({
+      name: 'woocommerce_product_stock_quantity',
+      help: 'Stock quantity of a tracked, stock-managed product or variation',
+      labelNames: ['store_id', 'store_name', 'product_id', 'sku', 'parent_id', 'attributes'],
+      registers: [this.register]
+    });
+
+    // Low stock threshold of tracked products and variations
+    this.productLowStockThresholdGauge = new client.Gauge({
+      name: 'woocommerce_product_low_stock_threshold',
+      help: 'Low stock threshold that applies to a tracked product or variation',
+      labelNames: ['store_id', 'store_name', 'product_id', 'sku', 'parent_id', 'attributes'],
+      registers: [this.register]
+    });
+
+    // Stock status of tracked products and variations
+    this.productStockStatusGauge = new client.Gauge({
+      name: 'woocommerce_product_stock_status',
+      help: 'Stock status of a tracked product or variation (always 1, status in the stock_status label)',
+      labelNames: ['store_id', 'store_name', 'product_id', 'sku', 'parent_id', 'attributes', 'stock_status'],
+      registers: [this.register]
+    });
+
     // Total customers
     this.totalCustomersGauge = new client.Gauge({
       name: 'woocommerce_total_customers',
@@ -96,6 +362,79 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    // Customers registered per period
+    this.newCustomersGauge = new client.Gauge({
+      name: 'woocommerce_new_customers',
+      help: 'Number of customers registered in the period',
+      labelNames: ['store_id', 'store_name', 'period'],
+      registers: [this.register]
+    });
+
+    // Paid orders by whether the customer ordered before
+    this.ordersByCustomerTypeGauge = new client.Gauge({
+      name: 'woocommerce_orders_by_customer_type',
+      help: 'Paid orders by customer type (first_time, returning or guest) and period',
+      labelNames: ['store_id', 'store_name', 'period', 'customer_type'],
+      registers: [this.register]
+    });
+
+    this.guestCheckoutRatioGauge = new client.Gauge({
+      name: 'woocommerce_guest_checkout_ratio',
+      help: 'Share of paid orders placed without a customer account (0-1)',
+      labelNames: ['store_id', 'store_name', 'period'],
+      registers: [this.register]
+    });
+
+    this.repeatPurchaseRateGauge = new client.Gauge({
+      name: 'woocommerce_repeat_purchase_rate',
+      help: 'Share of registered customers with a paid order who placed more than one (0-1)',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    // Customer lifetime value from the customers endpoint, as a histogram of the current customers
+    this.customerValueBucketGauge = new client.Gauge({
+      name: 'woocommerce_customer_lifetime_value_bucket',
+      help: 'Customers with orders by total spent, cumulative per le bucket',
+      labelNames: ['store_id', 'store_name', 'currency', 'le'],
+      registers: [this.register]
+    });
+
+    this.customerValueSumGauge = new client.Gauge({
+      name: 'woocommerce_customer_lifetime_value_sum',
+      help: 'Total spent by customers with orders',
+      labelNames: ['store_id', 'store_name', 'currency'],
+      registers: [this.register]
+    });
+
+    this.customerValueCountGauge = new client.Gauge({
+      name: 'woocommerce_customer_lifetime_value_count',
+      help: 'Number of customers with orders',
+      labelNames: ['store_id', 'store_name', 'currency'],
+      registers: [this.register]
+    });
+
+    this.customerOrdersBucketGauge = new client.Gauge({
+      name: 'woocommerce_customer_orders_bucket',
+      help: 'Customers with orders by number of orders, cumulative per le bucket',
+      labelNames: ['store_id', 'store_name', 'le'],
+      registers: [this.register]
+    });
+
+    this.customerOrdersSumGauge = new client.Gauge({
+      name: 'woocommerce_customer_orders_sum',
+      help: 'Orders placed by customers with orders',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    this.customerOrdersCountGauge = new client.Gauge({
+      name: 'woocommerce_customer_orders_count',
+      help: 'Number of customers with orders',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
     // Average order value
     this.averageOrderValueGauge = new client.Gauge({
       name: 'woocommerce_average_order_value',
@@ -104,6 +443,94 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    // Completed order values as a histogram of the cached orders (recomputed on every collection)
+    this.orderValueBucketGauge = new client.Gauge({
+      name: 'woocommerce_order_value_bucket',
+      help: 'Completed orders by order total, cumulative per le bucket',
+      labelNames: ['store_id', 'store_name', 'currency', 'le'],
+      registers: [this.register]
+    });
+
+    this.orderValueSumGauge = new client.Gauge({
+      name: 'woocommerce_order_value_sum',
+      help: 'Sum of completed order totals in the order value histogram',
+      labelNames: ['store_id', 'store_name', 'currency'],
+      registers: [this.register]
+    });
+
+    this.orderValueCountGauge = new client.Gauge({
+      name: 'woocommerce_order_value_count',
+      help: 'Number of completed orders in the order value histogram',
+      labelNames: ['store_id', 'store_name', 'currency'],
+      registers: [this.register]
+    });
+
+    // Orders by payment gateway (payment_method ID)
+    this.paymentMethodOrdersGauge = new client.Gauge({
+      name: 'woocommerce_payment_method_orders',
+      help: 'Orders by payment method and period',
+      labelNames: ['store_id', 'store_name', 'payment_method', 'period'],
+      registers: [this.register]
+    });
+
+    this.paymentMethodFailedOrdersGauge = new client.Gauge({
+      name: 'woocommerce_payment_method_failed_orders',
+      help: 'Failed orders by payment method and period',
+      labelNames: ['store_id', 'store_name', 'payment_method', 'period'],
+      registers: [this.register]
+    });
+
+    this.paymentMethodFailureRateGauge = new client.Gauge({
+      name: 'woocommerce_payment_method_failure_rate',
+      help: 'Share of orders by payment method that failed (0-1)',
+      labelNames: ['store_id', 'store_name', 'payment_method', 'period'],
+      registers: [this.register]
+    });
+
+    this.paymentMethodRevenueGauge = new client.Gauge({
+      name: 'woocommerce_payment_method_revenue',
+      help: 'Total of paid orders by payment method and period',
+      labelNames: ['store_id', 'store_name', 'payment_method', 'currency', 'period'],
+      registers: [this.register]
+    });
+
+    this.paymentMethodInfoGauge = new client.Gauge({
+      name: 'woocommerce_payment_method_info',
+      help: 'Payment method title as shown at checkout (always 1)',
+      labelNames: ['store_id', 'store_name', 'payment_method', 'title'],
+      registers: [this.register]
+    });
+
+    // Paid orders and shipping charged by shipping method (method_id)
+    this.shippingMethodOrdersGauge = new client.Gauge({
+      name: 'woocommerce_shipping_method_orders',
+      help: 'Paid orders by shipping method and period',
+      labelNames: ['store_id', 'store_name', 'shipping_method', 'period'],
+      registers: [this.register]
+    });
+
+    this.shippingMethodRevenueGauge = new client.Gauge({
+      name: 'woocommerce_shipping_method_revenue',
+      help: 'Shipping charged on paid orders by shipping method and period',
+      labelNames: ['store_id', 'store_name', 'shipping_method', 'currency', 'period'],
+      registers: [this.register]
+    });
+
+    // Paid orders and revenue by billing or shipping country (STORE{N}_COUNTRY_ADDRESS)
+    this.ordersByCountryGauge = new client.Gauge({
+      name: 'woocommerce_orders_by_country',
+      help: 'Paid orders by country (ISO 3166-1 alpha-2) and period',
+      labelNames: ['store_id', 'store_name', 'country', 'period'],
+      registers: [this.register]
+    });
+
+    this.revenueByCountryGauge = new client.Gauge({
+      name: 'woocommerce_revenue_by_country',
+      help: 'Total of paid orders by country (ISO 3166-1 alpha-2), currency and period',
+      labelNames: ['store_id', 'store_name', 'country', 'currency', 'period'],
+      registers: [this.register]
+    });
+
     // Pending orders
     this.pendingOrdersGauge = new client.Gauge({
       name: 'woocommerce_pending_orders',
@@ -168,6 +595,45 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    // Age of open orders as a histogram of the current orders (recomputed on every collection,
+    // so the buckets can go down), usable with histogram_quantile()
+    this.orderAgeBucketGauge = new client.Gauge({
+      name: 'woocommerce_order_age_hours_bucket',
+      help: 'Open orders by hours spent in their current status, cumulative per le bucket',
+      labelNames: ['store_id', 'store_name', 'status', 'le'],
+      registers: [this.register]
+    });
+
+    this.orderAgeSumGauge = new client.Gauge({
+      name: 'woocommerce_order_age_hours_sum',
+      help: 'Sum of the hours open orders have spent in their current status',
+      labelNames: ['store_id', 'store_name', 'status'],
+      registers: [this.register]
+    });
+
+    this.orderAgeCountGauge = new client.Gauge({
+      name: 'woocommerce_order_age_hours_count',
+      help: 'Number of open orders in the order age histogram',
+      labelNames: ['store_id', 'store_name', 'status'],
+      registers: [this.register]
+    });
+
+    // Oldest open order per status
+    this.oldestOrderAgeGauge = new client.Gauge({
+      name: 'woocommerce_oldest_order_age_hours',
+      help: 'Hours the oldest order has spent in its current status (0 if there are none)',
+      labelNames: ['store_id', 'store_name', 'status'],
+      registers: [this.register]
+    });
+
+    // Orders breaching their status SLA (STORE{N}_ORDER_SLA_HOURS)
+    this.orderSlaBreachesGauge = new client.Gauge({
+      name: 'woocommerce_orders_sla_breached',
+      help: 'Number of orders that have been in a status for longer than its SLA',
+      labelNames: ['store_id', 'store_name', 'status', 'sla_hours'],
+      registers: [this.register]
+    });
+
     // Orders requiring attention (pending, on-hold, processing)
     this.ordersRequiringAttentionGauge = new client.Gauge({
       name: 'woocommerce_orders_requiring_attention',
@@ -188,14 +654,83 @@ class MetricsCollector {
     this.topProductsSoldGauge = new client.Gauge({
       name: 'woocommerce_top_products_sold',
       help: 'Top selling products by quantity',
+      labelNames: ['store_id', 'store_name', 'product_id'],
+      registers: [this.register]
+    });
+
+    // Names of the top selling products, kept out of the sales series so a rename doesn't start a new one
+    this.productInfoGauge = new client.Gauge({
+      name: 'woocommerce_product_info',
+      help: 'Current name of each product in woocommerce_top_products_sold (always 1)',
       labelNames: ['store_id', 'store_name', 'product_id', 'product_name'],
       registers: [this.register]
     });
 
+    // Sales of paid orders by product category (slug) and SKU
+    this.categorySalesQuantityGauge = new client.Gauge({
+      name: 'woocommerce_category_sales_quantity',
+      help: 'Items sold in paid orders by product category and period',
+      labelNames: ['store_id', 'store_name', 'category', 'period'],
+      registers: [this.register]
+    });
+
+    this.categorySalesRevenueGauge = new client.Gauge({
+      name: 'woocommerce_category_sales_revenue',
+      help: 'Line item revenue of paid orders (after discounts, before tax) by product category and period',
+      labelNames: ['store_id', 'store_name', 'category', 'currency', 'period'],
+      registers: [this.register]
+    });
+
+    this.skuSalesQuantityGauge = new client.Gauge({
+      name: 'woocommerce_sku_sales_quantity',
+      help: 'Items sold in paid orders by SKU and period',
+      labelNames: ['store_id', 'store_name', 'sku', 'period'],
+      registers: [this.register]
+    });
+
+    this.skuSalesRevenueGauge = new client.Gauge({
+      name: 'woocommerce_sku_sales_revenue',
+      help: 'Line item revenue of paid orders (after discounts, before tax) by SKU and period',
+      labelNames: ['store_id', 'store_name', 'sku', 'currency', 'period'],
+      registers: [this.register]
+    });
+
+    // Store availability
+    this.storeUpGauge = new client.Gauge({
+      name: 'woocommerce_store_up',
+      help: 'Whether the last collection reached the store (1 if at least one collector succeeded)',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    // Store info (tags joined with commas)
+    this.storeInfoGauge = new client.Gauge({
+      name: 'woocommerce_store_info',
+      help: 'Configured store (always 1), with its tags',
+      labelNames: ['store_id', 'store_name', 'tags'],
+      registers: [this.register]
+    });
+
+    // Store labels from the store configuration, one series per label
+    this.storeLabelGauge = new client.Gauge({
+      name: 'woocommerce_store_label',
+      help: 'Label configured for the store (always 1)',
+      labelNames: ['store_id', 'store_name', 'label', 'value'],
+      registers: [this.register]
+    });
+
+    // Per-collector success
+    this.collectorSuccessGauge = new client.Gauge({
+      name: 'woocommerce_collector_success',
+      help: 'Whether each collector succeeded in the last collection (1 = success, 0 = failure)',
+      labelNames: ['store_id', 'store_name', 'collector'],
+      registers: [this.register]
+    });
+
     // Last scrape success timestamp
     this.lastScrapeSuccessGauge = new client.Gauge({
       name: 'woocommerce_last_scrape_success',
-      help: 'Timestamp of last successful scrape',
+      help: 'Timestamp of last scrape in which every collector succeeded',
       labelNames: ['store_id', 'store_name'],
       registers: [this.register]
     });
@@ -223,256 +758,679 @@ class MetricsCollector {
       labelNames: ['store_id', 'store_name', 'endpoint'],
       registers: [this.register]
     });
-  }
 
-  /**
-   * Collect all metrics for a store
-   * @param {WooCommerceClient} wooClient - WooCommerce client instance
-   */
-  async collectStoreMetrics(wooClient) {
-    const startTime = Date.now();
-    const storeInfo = wooClient.getStoreInfo();
-    const { id: storeId, name: storeName, currency } = storeInfo;
+    // Active coupons
+    this.activeCouponsGauge = new client.Gauge({
+      name: 'woocommerce_active_coupons',
+      help: 'Number of active coupons (published, not expired, usage limit not reached)',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
 
-    try {
-      logger.info(`Starting metrics collection for store: ${storeName} (${storeId})`);
+    // Coupon usage count
+    this.couponUsageCountGauge = new client.Gauge({
+      name: 'woocommerce_coupon_usage_count',
+      help: 'Number of times an active coupon has been used',
+      labelNames: ['store_id', 'store_name', 'code'],
+      registers: [this.register]
+    });
 
-      // Collect all metrics in parallel where possible
-      await Promise.allSettled([
-        this.collectOrderMetrics(wooClient),
-        this.collectProductMetrics(wooClient),
-        this.collectCustomerMetrics(wooClient)
-      ]);
+    // Coupon usage limit
+    this.couponUsageLimitGauge = new client.Gauge({
+      name: 'woocommerce_coupon_usage_limit',
+      help: 'Usage limit of an active coupon (only for coupons with a limit)',
+      labelNames: ['store_id', 'store_name', 'code'],
+      registers: [this.register]
+    });
 
-      // Update last scrape success timestamp
-      this.lastScrapeSuccessGauge.set(
-        { store_id: storeId, store_name: storeName },
-        Math.floor(Date.now() / 1000)
-      );
+    // Coupons nearing expiry
+    this.couponsExpiringSoonGauge = new client.Gauge({
+      name: 'woocommerce_coupons_expiring_soon',
+      help: 'Number of active coupons expiring within the given number of days',
+      labelNames: ['store_id', 'store_name', 'within_days'],
+      registers: [this.register]
+    });
 
-      // Update scrape duration
-      const duration = (Date.now() - startTime) / 1000;
-      this.scrapeDurationGauge.set(
-        { store_id: storeId, store_name: storeName },
-        duration
-      );
+    // Total discount given
+    this.discountTotalGauge = new client.Gauge({
+      name: 'woocommerce_discount_total',
+      help: 'Total discount amount given on paid orders',
+      labelNames: ['store_id', 'store_name', 'currency', 'period'],
+      registers: [this.register]
+    });
 
-      logger.info(`Completed metrics collection for store: ${storeName} (${storeId}) in ${duration.toFixed(2)}s`);
+    // Discount given per coupon code
+    this.couponDiscountTotalGauge = new client.Gauge({
+      name: 'woocommerce_coupon_discount_total',
+      help: 'Total discount amount given per coupon code on paid orders',
+      labelNames: ['store_id', 'store_name', 'currency', 'code'],
+      registers: [this.register]
+    });
 
-    } catch (error) {
-      logger.error(`Error collecting metrics for store ${storeId}:`, error.message);
-      
-      // Increment error counter
-      this.scrapeErrorsCounter.inc({
-        store_id: storeId,
-        store_name: storeName,
-        error_type: 'general'
+    // Server-side sales report totals (one gauge per report field)
+    this.salesReportGauges = {};
+    Object.entries(SALES_REPORT_FIELDS).forEach(([field, description]) => {
+      this.salesReportGauges[field] = new client.Gauge({
+        name: `woocommerce_sales_report_${field}`,
+        help: `${description} from the WooCommerce sales report`,
+        labelNames: ['store_id', 'store_name', 'currency', 'period'],
+        registers: [this.register]
       });
+    });
 
-      throw error;
-    }
+    // Age of each store's published snapshot, computed at scrape time
+    const snapshotTimes = this.snapshotTimes;
+    this.snapshotAgeGauge = new client.Gauge({
+      name: 'woocommerce_snapshot_age_seconds',
+      help: 'Seconds since the store\'s metrics snapshot was last published',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register],
+      collect() {
+        this.reset();
+        snapshotTimes.forEach(({ storeName, publishedAt }, storeId) => {
+          this.set({ store_id: storeId, store_name: storeName }, (Date.now() - publishedAt) / 1000);
+        });
+      }
+    });
+
+    // API retries
+    this.apiRetriesCounter = new client.Counter({
+      name: 'woocommerce_api_retries_total',
+      help: 'Total number of retried WooCommerce API requests',
+      labelNames: ['store_id', 'store_name', 'endpoint', 'reason'],
+      registers: [this.register]
+    });
+
+    // Circuit breaker state
+    this.circuitBreakerStateGauge = new client.Gauge({
+      name: 'woocommerce_circuit_breaker_state',
+      help: 'Circuit breaker state per store (0 = closed, 1 = half open, 2 = open)',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    // Circuit breaker trips
+    this.circuitBreakerTripsCounter = new client.Counter({
+      name: 'woocommerce_circuit_breaker_trips_total',
+      help: 'Total number of times the circuit breaker opened',
+      labelNames: ['store_id', 'store_name'],
+      registers: [this.register]
+    });
+
+    // Rejected HTTP requests to the exporter itself
+    this.unauthorizedRequestsCounter = new client.Counter({
+      name: 'woocommerce_http_unauthorized_requests_total',
+      help: 'Total number of exporter HTTP requests rejected by authentication or IP allowlists',
+      labelNames: ['route', 'reason'],
+      registers: [this.register]
+    });
+
+    // Rate limited HTTP requests to the exporter itself
+    this.rateLimitedRequestsCounter = new client.Counter({
+      name: 'woocommerce_http_rate_limited_requests_total',
+      help: 'Total number of exporter HTTP requests rejected by rate limiting',
+      labelNames: ['route'],
+      registers: [this.register]
+    });
   }
 
   /**
-   * Collect order-related metrics
-   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * Publish a store's staging snapshot
+   * Runs synchronously so a concurrent /metrics scrape sees either the old or the new values, never a mix.
+   * Series a collector published last time but did not observe now are removed; sections that were
+   * discarded (failed collectors) keep their previous values, and other stores are left untouched
+   * @param {StoreSnapshot} snapshot - Staging snapshot
+   * @param {string} storeName - Store name for the snapshot age gauge
    */
-  async collectOrderMetrics(wooClient) {
-    const storeInfo = wooClient.getStoreInfo();
-    const { id: storeId, name: storeName, currency } = storeInfo;
-    const apiStartTime = Date.now();
+  publishSnapshot(snapshot, storeName) {
+    this.applySnapshot(snapshot);
+    this.snapshotTimes.set(snapshot.storeId, { storeName, publishedAt: Date.now() });
+  }
 
-    try {
-      logger.debug(`Collecting order metrics for store ${storeId}`);
+  /**
+   * Write a snapshot's sections to the registry, removing stale label sets per section
+   * @param {StoreSnapshot} snapshot - Staging snapshot
+   */
+  applySnapshot(snapshot) {
+    if (!this.publishedSeries.has(snapshot.storeId)) {
+      this.publishedSeries.set(snapshot.storeId, new Map());
+    }
 
-      // Get all orders (limit to recent ones for performance)
-      const orders = await wooClient.getAllOrders({
-        // after: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString() // Last 90 days
+    const storeSeries = this.publishedSeries.get(snapshot.storeId);
+
+    snapshot.sections.forEach((series, scope) => {
+      const previous = storeSeries.get(scope) || new Map();
+      const published = new Map();
+
+      // Remove stale label sets
+      previous.forEach((labelSets, gauge) => {
+        const current = series.get(gauge);
+        labelSets.forEach((labels, key) => {
+          if (!current || !current.has(key)) {
+            gauge.remove(labels);
+          }
+        });
+      });
+
+      // Apply the new values
+      series.forEach((values, gauge) => {
+        const labelSets = new Map();
+        values.forEach(({ labels, value }, key) => {
+          gauge.set(labels, value);
+          labelSets.set(key, labels);
+        });
+        published.set(gauge, labelSets);
+      });
+
+      storeSeries.set(scope, published);
+    });
+  }
+
+  /**
+   * Publish a store's configured name, tags and labels
+   * @param {Object} storeConf - Store configuration
+   */
+  setStoreInfo(storeConf) {
+    const snapshot = new StoreSnapshot(storeConf.id);
+    const info = snapshot.section('info');
+    const labels = { store_id: storeConf.id, store_name: storeConf.name };
+
+    info.set(this.storeInfoGauge, { ...labels, tags: [...storeConf.tags].sort().join(',') }, 1);
+
+    Object.entries(storeConf.labels).forEach(([label, value]) => {
+      info.set(this.storeLabelGauge, { ...labels, label, value }, 1);
+    });
+
+    this.applySnapshot(snapshot);
+  }
+
+  /**
+   * Remove every series published for a store
+   * @param {string} storeId - Store ID
+   */
+  removeStoreSeries(storeId) {
+    const storeSeries = this.publishedSeries.get(storeId);
+    if (!storeSeries) {
+      return;
+    }
+
+    storeSeries.forEach(published => {
+      published.forEach((labelSets, gauge) => {
+        labelSets.forEach(labels => gauge.remove(labels));
+      });
+    });
+
+    (this.storeSeries.get(storeId) || new Map()).forEach(({ metric, labels }) => metric.remove(labels));
+
+    this.publishedSeries.delete(storeId);
+    this.snapshotTimes.delete(storeId);
+    this.storeSeries.delete(storeId);
+  }
+
+  /**
+   * Remember a series updated outside snapshots so removeStoreSeries can remove it
+   * @param {string} storeId - Store ID
+   * @param {Gauge|Counter} metric - Metric the series belongs to
+   * @param {Object} labels - Label set
+   */
+  trackStoreSeries(storeId, metric, labels) {
+    if (!this.storeSeries.has(storeId)) {
+      this.storeSeries.set(storeId, new Map());
+    }
+
+    this.storeSeries.get(storeId).set(`${metric.name}${StoreSnapshot.labelKey(labels)}`, { metric, labels });
+  }
+
+  /**
+   * Count a failed collection or collector
+   * @param {string} storeId - Store ID
+   * @param {string} storeName - Store name
+   * @param {string} errorType - Collector that failed, or 'general'
+   */
+  recordScrapeError(storeId, storeName, errorType) {
+    const labels = { store_id: storeId, store_name: storeName, error_type: errorType };
+
+    this.scrapeErrorsCounter.inc(labels);
+    this.trackStoreSeries(storeId, this.scrapeErrorsCounter, labels);
+  }
+
+  /**
+   * Record a retried API request
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {string} endpoint - Endpoint label
+   * @param {string} reason - Retry reason
+   */
+  recordApiRetry(storeInfo, endpoint, reason) {
+    const labels = {
+      store_id: storeInfo.id,
+      store_name: storeInfo.name,
+      endpoint,
+      reason
+    };
+
+    this.apiRetriesCounter.inc(labels);
+    this.trackStoreSeries(storeInfo.id, this.apiRetriesCounter, labels);
+  }
+
+  /**
+   * Record a circuit breaker state change
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {string} state - Breaker state
+   */
+  setCircuitBreakerState(storeInfo, state) {
+    const labels = { store_id: storeInfo.id, store_name: storeInfo.name };
+
+    this.circuitBreakerStateGauge.set(labels, BREAKER_STATE_VALUES[state]);
+    this.trackStoreSeries(storeInfo.id, this.circuitBreakerStateGauge, labels);
+
+    if (state === BREAKER_STATES.OPEN) {
+      this.circuitBreakerTripsCounter.inc(labels);
+      this.trackStoreSeries(storeInfo.id, this.circuitBreakerTripsCounter, labels);
+    }
+  }
+
+  /**
+   * Record an exporter HTTP request rejected by authentication
+   * @param {string} route - Route pattern
+   * @param {string} reason - Rejection reason
+   */
+  recordUnauthorizedRequest(route, reason) {
+    this.unauthorizedRequestsCounter.inc({ route, reason });
+  }
+
+  /**
+   * Record an exporter HTTP request rejected by rate limiting
+   * @param {string} route - Route pattern
+   */
+  recordRateLimitedRequest(route) {
+    this.rateLimitedRequestsCounter.inc({ route });
+  }
+
+  /**
+   * Collect all metrics for a store
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Object>} { storeId, success, partial, failed } where failed lists the failed collectors
+   * @throws {Error} If every collector failed
+   */
+  async collectStoreMetrics(wooClient) {
+    const startTime = Date.now();
+    const storeInfo = wooClient.getStoreInfo();
+    const { id: storeId, name: storeName } = storeInfo;
+
+    try {
+      logger.info(`Starting metrics collection for store: ${storeName} (${storeId})`);
+
+      // Collectors write into a staging snapshot that is published in one step at the end
+      const snapshot = new StoreSnapshot(storeId);
+
+      // Products and coupons are fetched once for the collectors that share them
+      const products = wooClient.getAllProducts();
+      const coupons = wooClient.getAllCoupons();
+
+      const collectors = {
+        orders: this.collectOrderMetrics(wooClient, snapshot),
+        products: this.collectProductMetrics(wooClient, snapshot, products),
+        product_sales: this.collectProductSalesMetrics(wooClient, snapshot, products),
+        customers: this.collectCustomerMetrics(wooClient, snapshot),
+        customer_orders: this.collectCustomerOrderMetrics(wooClient, snapshot),
+        coupons: this.collectCouponMetrics(wooClient, snapshot, coupons),
+        coupon_discounts: this.collectCouponDiscountMetrics(wooClient, snapshot, coupons)
+      };
+
+      if (storeInfo.salesReports) {
+        collectors.sales_reports = this.collectSalesReportMetrics(wooClient, snapshot);
+      } else {
+        // Drop the series left over from before sales reports were turned off
+        snapshot.clear('sales_reports');
+      }
+
+      // Collect all metrics in parallel where possible
+      const results = await Promise.allSettled(Object.values(collectors));
+      const scopes = Object.keys(collectors);
+      const failed = scopes.filter((scope, index) => results[index].status === 'rejected');
+      const succeeded = scopes.length - failed.length;
+
+      // Failed collectors keep their previously published values
+      failed.forEach(scope => snapshot.discard(scope));
+
+      const scrape = snapshot.section('scrape');
+
+      scrape.set(
+        this.storeUpGauge,
+        { store_id: storeId, store_name: storeName },
+        succeeded > 0 ? 1 : 0
+      );
+
+      scopes.forEach(scope => {
+        scrape.set(
+          this.collectorSuccessGauge,
+          { store_id: storeId, store_name: storeName, collector: scope },
+          failed.includes(scope) ? 0 : 1
+        );
       });
 
+      // Update scrape duration
+      const duration = (Date.now() - startTime) / 1000;
+      scrape.set(
+        this.scrapeDurationGauge,
+        { store_id: storeId, store_name: storeName },
+        duration
+      );
+
+      // Only advance the last success timestamp when every collector succeeded
+      // (its own section, so a failed scrape keeps the previous timestamp)
+      if (failed.length === 0) {
+        snapshot.section('last_success').set(
+          this.lastScrapeSuccessGauge,
+          { store_id: storeId, store_name: storeName },
+          Math.floor(Date.now() / 1000)
+        );
+      }
+
+      // Swap the new values in atomically
+      this.publishSnapshot(snapshot, storeName);
+
+      if (succeeded === 0) {
+        throw new Error(`All collectors failed for store ${storeId}`);
+      }
+
+      if (failed.length > 0) {
+        logger.warn(`Partial metrics collection for store: ${storeName} (${storeId}) in ${duration.toFixed(2)}s, failed collectors: ${failed.join(', ')}`);
+      } else {
+        logger.info(`Completed metrics collection for store: ${storeName} (${storeId}) in ${duration.toFixed(2)}s`);
+      }
+
+      return {
+        storeId,
+        success: failed.length === 0,
+        partial: failed.length > 0,
+        failed
+      };
+
+    } catch (error) {
+      logger.error(`Error collecting metrics for store ${storeId}:`, error.message);
+      
+      // Increment error counter
+      this.recordScrapeError(storeId, storeName, 'general');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Collect order-related metrics
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   */
+  async collectOrderMetrics(wooClient, snapshot) {
+    const storeInfo = wooClient.getStoreInfo();
+    const { id: storeId, name: storeName, currency } = storeInfo;
+    const apiStartTime = Date.now();
+    const scrape = snapshot.section('orders');
+
+    try {
+      logger.debug(`Collecting order metrics for store ${storeId}`);
+
+      // Fetch orders modified since the last sync and read the full set from the cache
+      const orders = await this.orderCache.sync(wooClient);
+
       // Track API response time
       const apiDuration = (Date.now() - apiStartTime) / 1000;
-      this.apiResponseTimeGauge.set(
+      scrape.set(
+        this.apiResponseTimeGauge,
         { store_id: storeId, store_name: storeName, endpoint: 'orders' },
         apiDuration
       );
 
+      // Periods are evaluated in the store's timezone
+      const timeZone = await wooClient.getTimezone();
+      const getPeriods = createPeriodMatcher(timeZone);
+
       // Initialize counters
       const statusCounts = {};
-      const today = new Date().toDateString();
-      const thisMonth = `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}`;
-      
-      let totalRevenue = 0;
-      let revenueToday = 0;
-      let revenueThisMonth = 0;
-      let totalOrderValue = 0;
+      // Amounts are kept per order currency (multi-currency plugins); the store currency is always exported
+      const revenueByCurrency = { [currency]: this.createPeriodTotals() };
+      const netRevenueByCurrency = { [currency]: this.createPeriodTotals() };
+      const completedByCurrency = { [currency]: this.createPeriodTotals() };
+      const componentsByCurrency = { [currency]: this.createRevenueComponentTotals() };
+      const refundsByCurrency = {}; // currency -> reason -> period -> { amount, count }
+
+      const orderValues = {}; // Completed order totals by order currency
       const productSales = {};
       const processingTimes = []; // Store processing times for completed orders
+      const now = Date.now();
+      const ageStatuses = new Set([...ORDER_AGE_STATUSES, ...Object.keys(storeInfo.orderSlaHours)]);
+      const orderAges = Object.fromEntries([...ageStatuses].map(status => [status, []]));
 
       // Process each order
       orders.forEach(order => {
         const status = order.status;
-        const orderDate = new Date(order.date_created);
-        const orderDateString = orderDate.toDateString();
-        const orderMonth = `${orderDate.getFullYear()}-${String(orderDate.getMonth() + 1).padStart(2, '0')}`;
+        const createdAt = this.getOrderTime(order, 'date_created');
         const orderTotal = parseFloat(order.total) || 0;
+        const orderCurrency = order.currency || currency;
 
         // Count by status
         statusCounts[status] = (statusCounts[status] || 0) + 1;
 
+        // Refunds count in the periods they were issued in, whatever the order's status
+        let refundedAmount = 0;
+        (order.refunds || []).forEach(refund => {
+          const amount = Math.abs(parseFloat(refund.amount)) || 0;
+          const reason = this.normalizeRefundReason(refund.reason);
+          const refundedAt = this.getOrderTime(refund, 'date_created');
+          const refundsByReason = refundsByCurrency[orderCurrency] = refundsByCurrency[orderCurrency] || {};
+          const byPeriod = refundsByReason[reason] = refundsByReason[reason] || {};
+
+          refundedAmount += amount;
+          ['all_time', ...(refundedAt !== null ? getPeriods(refundedAt) : [])].forEach(period => {
+            byPeriod[period] = byPeriod[period] || { amount: 0, count: 0 };
+            byPeriod[period].amount += amount;
+            byPeriod[period].count++;
+          });
+        });
+
+        // Track how long open orders have been waiting
+        if (orderAges[status]) {
+          const since = this.getOrderStatusSince(order);
+          if (since !== null) {
+            orderAges[status].push(Math.max(0, now - since) / (1000 * 60 * 60));
+          }
+        }
+
         // Calculate revenue (only for completed orders)
         if (status === 'completed') {
-          totalRevenue += orderTotal;
-          totalOrderValue += orderTotal;
+          const revenueByPeriod = revenueByCurrency[orderCurrency] = revenueByCurrency[orderCurrency] || this.createPeriodTotals();
+          const netRevenueByPeriod = netRevenueByCurrency[orderCurrency] = netRevenueByCurrency[orderCurrency] || this.createPeriodTotals();
+          const completedByPeriod = completedByCurrency[orderCurrency] = completedByCurrency[orderCurrency] || this.createPeriodTotals();
+          const componentTotals = componentsByCurrency[orderCurrency] = componentsByCurrency[orderCurrency] || this.createRevenueComponentTotals();
+          const components = this.getRevenueComponents(order);
+
+          ['all_time', ...getPeriods(createdAt)].forEach(period => {
+            revenueByPeriod[period] += orderTotal;
+            netRevenueByPeriod[period] += orderTotal - refundedAmount;
+            completedByPeriod[period]++;
+
+            Object.entries(components).forEach(([component, amount]) => {
+              componentTotals[component][period] += amount;
+            });
+          });
 
-          if (orderDateString === today) {
-            revenueToday += orderTotal;
-          }
+          (orderValues[orderCurrency] = orderValues[orderCurrency] || []).push(orderTotal);
 
-          if (orderMonth === thisMonth) {
-            revenueThisMonth += orderTotal;
-          }
+          // Calculate processing time for completed orders (skipped when either date is missing or unparsable)
+          const completedAt = this.getOrderTime(order, 'date_completed');
 
-          // Calculate processing time for completed orders
-          const dateCreated = new Date(order.date_created);
-          const dateCompleted = order.date_completed ? new Date(order.date_completed) : new Date();
-          
-          if (order.date_completed && dateCompleted > dateCreated) {
-            const processingTimeHours = (dateCompleted - dateCreated) / (1000 * 60 * 60);
+          if (createdAt !== null && completedAt !== null && completedAt > createdAt) {
+            const processingTimeHours = (completedAt - createdAt) / (1000 * 60 * 60);
             processingTimes.push(processingTimeHours);
           }
         }
 
-        // Track product sales
+        // Track product sales (the name of the most recent order wins)
         if (order.line_items) {
           order.line_items.forEach(item => {
             const productId = item.product_id.toString();
-            const productName = item.name;
             const quantity = parseInt(item.quantity) || 0;
 
             if (!productSales[productId]) {
-              productSales[productId] = {
-                name: productName,
-                quantity: 0
-              };
+              productSales[productId] = { name: item.name, quantity: 0, createdAt: createdAt ?? 0 };
             }
             productSales[productId].quantity += quantity;
+
+            if ((createdAt ?? 0) >= productSales[productId].createdAt) {
+              productSales[productId].name = item.name;
+              productSales[productId].createdAt = createdAt ?? 0;
+            }
           });
         }
       });
 
+      // Exact order counts from X-WP-Total (statuses seen in the cache plus the core statuses)
+      const { total: totalOrders, byStatus: orderCounts } = await this.getOrderStatusCounts(
+        wooClient,
+        Object.keys(statusCounts)
+      );
+
       // Set total orders metric
-      this.totalOrdersGauge.set(
+      scrape.set(
+        this.totalOrdersGauge,
         { store_id: storeId, store_name: storeName, status: 'all', currency },
-        orders.length
+        totalOrders
       );
 
       // Set orders by status metrics
-      Object.entries(statusCounts).forEach(([status, count]) => {
-        this.ordersByStatusGauge.set(
+      Object.entries(orderCounts).forEach(([status, count]) => {
+        scrape.set(
+          this.ordersByStatusGauge,
           { store_id: storeId, store_name: storeName, status, currency },
           count
         );
       });
 
       // Set specific status metrics
-      this.pendingOrdersGauge.set(
+      scrape.set(
+        this.pendingOrdersGauge,
         { store_id: storeId, store_name: storeName },
-        statusCounts['pending'] || 0
+        orderCounts['pending'] || 0
       );
 
-      this.failedOrdersGauge.set(
+      scrape.set(
+        this.failedOrdersGauge,
         { store_id: storeId, store_name: storeName },
-        statusCounts['failed'] || 0
+        orderCounts['failed'] || 0
       );
 
-      this.processingOrdersGauge.set(
+      scrape.set(
+        this.processingOrdersGauge,
         { store_id: storeId, store_name: storeName },
-        statusCounts['processing'] || 0
+        orderCounts['processing'] || 0
       );
 
-      this.completedOrdersGauge.set(
+      scrape.set(
+        this.completedOrdersGauge,
         { store_id: storeId, store_name: storeName },
-        statusCounts['completed'] || 0
+        orderCounts['completed'] || 0
       );
 
-      this.cancelledOrdersGauge.set(
+      scrape.set(
+        this.cancelledOrdersGauge,
         { store_id: storeId, store_name: storeName },
-        statusCounts['cancelled'] || 0
+        orderCounts['cancelled'] || 0
       );
 
-      this.refundedOrdersGauge.set(
+      scrape.set(
+        this.refundedOrdersGauge,
         { store_id: storeId, store_name: storeName },
-        statusCounts['refunded'] || 0
+        orderCounts['refunded'] || 0
       );
 
-      this.onHoldOrdersGauge.set(
+      scrape.set(
+        this.onHoldOrdersGauge,
         { store_id: storeId, store_name: storeName },
-        statusCounts['on-hold'] || 0
+        orderCounts['on-hold'] || 0
       );
 
       // Calculate orders requiring attention
-      const pendingCount = statusCounts['pending'] || 0;
-      const onHoldCount = statusCounts['on-hold'] || 0;
-      const processingCount = statusCounts['processing'] || 0;
-      const failedCount = statusCounts['failed'] || 0;
+      const pendingCount = orderCounts['pending'] || 0;
+      const onHoldCount = orderCounts['on-hold'] || 0;
+      const processingCount = orderCounts['processing'] || 0;
+      const failedCount = orderCounts['failed'] || 0;
 
-      this.ordersRequiringAttentionGauge.set(
+      scrape.set(
+        this.ordersRequiringAttentionGauge,
         { store_id: storeId, store_name: storeName, reason: 'pending_payment' },
         pendingCount
       );
 
-      this.ordersRequiringAttentionGauge.set(
+      scrape.set(
+        this.ordersRequiringAttentionGauge,
         { store_id: storeId, store_name: storeName, reason: 'on_hold' },
         onHoldCount
       );
 
-      this.ordersRequiringAttentionGauge.set(
+      scrape.set(
+        this.ordersRequiringAttentionGauge,
         { store_id: storeId, store_name: storeName, reason: 'processing' },
         processingCount
       );
 
-      this.ordersRequiringAttentionGauge.set(
+      scrape.set(
+        this.ordersRequiringAttentionGauge,
         { store_id: storeId, store_name: storeName, reason: 'failed' },
         failedCount
       );
 
       // Calculate order status distribution (percentages)
-      const totalOrders = orders.length;
       if (totalOrders > 0) {
-        Object.entries(statusCounts).forEach(([status, count]) => {
+        Object.entries(orderCounts).forEach(([status, count]) => {
           const percentage = (count / totalOrders) * 100;
-          this.orderStatusDistributionGauge.set(
+          scrape.set(
+            this.orderStatusDistributionGauge,
             { store_id: storeId, store_name: storeName, status },
             percentage
           );
         });
       }
 
-      // Set revenue metrics
-      this.totalRevenueGauge.set(
-        { store_id: storeId, store_name: storeName, currency, period: 'all_time' },
-        totalRevenue
-      );
+      // Set revenue metrics per order currency
+      Object.entries(revenueByCurrency).forEach(([orderCurrency, revenueByPeriod]) => {
+        const labels = { store_id: storeId, store_name: storeName, currency: orderCurrency };
 
-      this.revenueTodayGauge.set(
-        { store_id: storeId, store_name: storeName, currency },
-        revenueToday
-      );
+        Object.entries(revenueByPeriod).forEach(([period, amount]) => {
+          scrape.set(this.totalRevenueGauge, { ...labels, period }, amount);
+          scrape.set(this.netRevenueGauge, { ...labels, period }, netRevenueByCurrency[orderCurrency][period]);
 
-      this.revenueThisMonthGauge.set(
-        { store_id: storeId, store_name: storeName, currency },
-        revenueThisMonth
-      );
+          // Calculate average order value per period
+          const count = completedByCurrency[orderCurrency][period];
+          scrape.set(this.averageOrderValueGauge, { ...labels, period }, count > 0 ? amount / count : 0);
+        });
 
-      // Calculate average order value
-      const completedOrders = statusCounts['completed'] || 0;
-      const avgOrderValue = completedOrders > 0 ? totalOrderValue / completedOrders : 0;
-      
-      this.averageOrderValueGauge.set(
-        { store_id: storeId, store_name: storeName, currency, period: 'all_time' },
-        avgOrderValue
-      );
+        scrape.set(this.revenueTodayGauge, labels, revenueByPeriod.today);
+        scrape.set(this.revenueThisMonthGauge, labels, revenueByPeriod.this_month);
+
+        Object.entries(componentsByCurrency[orderCurrency]).forEach(([component, byPeriod]) => {
+          Object.entries(byPeriod).forEach(([period, amount]) => {
+            scrape.set(this.revenueComponentGauges[component], { ...labels, period }, amount);
+          });
+        });
+      });
+
+      Object.entries(refundsByCurrency).forEach(([orderCurrency, refundsByReason]) => {
+        this.setRefundMetrics(scrape, storeInfo, orderCurrency, refundsByReason);
+      });
+
+      await this.setConvertedRevenueMetrics(snapshot, storeInfo, revenueByCurrency, netRevenueByCurrency);
+
+      // Order value distribution per order currency
+      Object.entries(orderValues).forEach(([orderCurrency, values]) => {
+        this.setGaugeHistogram(
+          scrape,
+          { bucket: this.orderValueBucketGauge, sum: this.orderValueSumGauge, count: this.orderValueCountGauge },
+          { store_id: storeId, store_name: storeName, currency: orderCurrency },
+          values,
+          ORDER_VALUE_BUCKETS
+        );
+      });
 
       // Calculate average order processing time
       let avgProcessingTime = 0;
@@ -481,195 +1439,1273 @@ class MetricsCollector {
         avgProcessingTime = totalProcessingTime / processingTimes.length;
       }
 
-      this.orderProcessingTimeGauge.set(
+      scrape.set(
+        this.orderProcessingTimeGauge,
         { store_id: storeId, store_name: storeName },
         avgProcessingTime
       );
 
+      this.setOrderAgeMetrics(scrape, storeInfo, orderAges);
+      this.setPaymentMetrics(scrape, storeInfo, orders, getPeriods);
+      this.setShippingMetrics(scrape, storeInfo, orders, getPeriods);
+      this.setCountryMetrics(scrape, storeInfo, orders, getPeriods);
+
       // Set top products metrics (top 10)
       const topProducts = Object.entries(productSales)
         .sort(([,a], [,b]) => b.quantity - a.quantity)
         .slice(0, 10);
 
       topProducts.forEach(([productId, data]) => {
-        this.topProductsSoldGauge.set(
-          { store_id: storeId, store_name: storeName, product_id: productId, product_name: data.name },
+        scrape.set(
+          this.topProductsSoldGauge,
+          { store_id: storeId, store_name: storeName, product_id: productId },
           data.quantity
         );
+
+        scrape.set(
+          this.productInfoGauge,
+          { store_id: storeId, store_name: storeName, product_id: productId, product_name: this.sanitizeLabelValue(data.name) },
+          1
+        );
       });
 
-      logger.debug(`Order metrics collected for store ${storeId}: ${orders.length} orders, $${totalRevenue.toFixed(2)} revenue, avg processing time: ${avgProcessingTime.toFixed(1)}h`);
+      logger.debug(`Order metrics collected for store ${storeId}: ${orders.length} orders, ${revenueByCurrency[currency].all_time.toFixed(2)} ${currency} revenue, avg processing time: ${avgProcessingTime.toFixed(1)}h`);
 
     } catch (error) {
       logger.error(`Error collecting order metrics for store ${storeId}:`, error.message);
       
-      this.scrapeErrorsCounter.inc({
-        store_id: storeId,
-        store_name: storeName,
-        error_type: 'orders'
-      });
+      this.recordScrapeError(storeId, storeName, 'orders');
 
       throw error;
     }
   }
 
+  /**
+   * Count orders per status using cheap per_page=1 requests
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {Array<string>} knownStatuses - Statuses seen in the order cache
+   * @returns {Promise<Object>} { total, byStatus }
+   */
+  async getOrderStatusCounts(wooClient, knownStatuses = []) {
+    const statuses = [...new Set([...CORE_ORDER_STATUSES, ...knownStatuses])];
+
+    const [total, ...counts] = await Promise.all([
+      wooClient.getOrderCount(),
+      ...statuses.map(status => wooClient.getOrderCount({ status }))
+    ]);
+
+    const byStatus = {};
+    statuses.forEach((status, index) => {
+      if (counts[index] > 0 || CORE_ORDER_STATUSES.includes(status)) {
+        byStatus[status] = counts[index];
+      }
+    });
+
+    return { total, byStatus };
+  }
+
   /**
    * Collect product-related metrics
    * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   * @param {Promise<Array>} productsPromise - All products, when already being fetched for another collector
    */
-  async collectProductMetrics(wooClient) {
+  async collectProductMetrics(wooClient, snapshot, productsPromise = wooClient.getAllProducts()) {
     const storeInfo = wooClient.getStoreInfo();
     const { id: storeId, name: storeName } = storeInfo;
     const apiStartTime = Date.now();
+    const scrape = snapshot.section('products');
 
     try {
       logger.debug(`Collecting product metrics for store ${storeId}`);
 
-      // Get all products
-      const products = await wooClient.getAllProducts();
+      // Get all products, plus exact counts from X-WP-Total
+      const [products, totalProducts, ...productStatusCounts] = await Promise.all([
+        productsPromise,
+        wooClient.getProductCount(),
+        ...PRODUCT_STATUSES.map(status => wooClient.getProductCount({ status }))
+      ]);
 
       // Track API response time
       const apiDuration = (Date.now() - apiStartTime) / 1000;
-      this.apiResponseTimeGauge.set(
+      scrape.set(
+        this.apiResponseTimeGauge,
         { store_id: storeId, store_name: storeName, endpoint: 'products' },
         apiDuration
       );
 
+      // Stock of variable products lives on their variations, fetched a few products at a time
+      const variableProductIds = storeInfo.trackVariations
+        ? products.filter(product => product.type === 'variable').map(product => product.id)
+        : [];
+      const variationsByProduct = await wooClient.getVariationsByProduct(variableProductIds);
+
       // Initialize counters
-      const statusCounts = {};
       let lowStockCount = 0;
       let outOfStockCount = 0;
-      const lowStockThreshold = 10; // Consider products with <= 10 items as low stock
+      let backorderCount = 0;
+      let variationCount = 0;
+      const trackingTag = storeInfo.stockTrackingTag?.toLowerCase();
 
       // Process each product
       products.forEach(product => {
-        const status = product.status;
-        const stockQuantity = parseInt(product.stock_quantity) || 0;
-        const stockStatus = product.stock_status;
+        // Variations inherit the parent's tags for tracking
+        const tracked = Boolean(trackingTag) && (product.tags || []).some(tag =>
+          tag.slug?.toLowerCase() === trackingTag || tag.name?.toLowerCase() === trackingTag);
+        const variations = variationsByProduct.get(product.id) || [];
+        variationCount += variations.length;
+
+        // Variations with manage_stock "parent" share the parent's stock, which is then counted once on the parent
+        const stockItems = variations
+          .filter(variation => variation.manage_stock !== 'parent')
+          .map(variation => ({ item: variation, parent: product }));
+
+        if (variations.length === 0 || product.manage_stock === true) {
+          stockItems.push({ item: product, parent: null });
+        }
 
-        // Count by status
-        statusCounts[status] = (statusCounts[status] || 0) + 1;
+        stockItems.forEach(({ item, parent }) => {
+          const threshold = this.getLowStockThreshold(item, storeInfo, parent);
+          const stockQuantity = parseInt(item.stock_quantity);
+          const manageStock = item.manage_stock === true;
+
+          // WooCommerce keeps stock_status in sync with the quantity for stock-managed products,
+          // and products without stock management have no meaningful quantity
+          if (item.stock_status === 'outofstock') {
+            outOfStockCount++;
+          } else if (item.stock_status === 'onbackorder') {
+            backorderCount++;
+          } else if (manageStock && Number.isFinite(stockQuantity) && stockQuantity <= threshold) {
+            lowStockCount++;
+          }
 
-        // Check stock levels
-        if (stockStatus === 'outofstock' || stockQuantity === 0) {
-          outOfStockCount++;
-        } else if (product.manage_stock && stockQuantity <= lowStockThreshold) {
-          lowStockCount++;
-        }
+          // Per-SKU gauges for the tagged subset of products
+          if (tracked) {
+            const labels = {
+              store_id: storeId,
+              store_name: storeName,
+              product_id: String(item.id),
+              sku: item.sku || '',
+              parent_id: parent ? String(parent.id) : '',
+              attributes: parent ? this.formatVariationAttributes(item) : ''
+            };
+
+            if (manageStock && Number.isFinite(stockQuantity)) {
+              scrape.set(this.productStockQuantityGauge, labels, stockQuantity);
+            }
+            scrape.set(this.productLowStockThresholdGauge, labels, threshold);
+            scrape.set(this.productStockStatusGauge, { ...labels, stock_status: item.stock_status || 'unknown' }, 1);
+          }
+        });
       });
 
       // Set product metrics
-      this.totalProductsGauge.set(
+      scrape.set(
+        this.totalProductsGauge,
         { store_id: storeId, store_name: storeName, status: 'all' },
-        products.length
+        totalProducts
       );
 
+      if (storeInfo.trackVariations) {
+        scrape.set(
+          this.totalVariationsGauge,
+          { store_id: storeId, store_name: storeName },
+          variationCount
+        );
+      }
+
       // Set products by status
-      Object.entries(statusCounts).forEach(([status, count]) => {
-        this.totalProductsGauge.set(
+      PRODUCT_STATUSES.forEach((status, index) => {
+        scrape.set(
+          this.totalProductsGauge,
           { store_id: storeId, store_name: storeName, status },
-          count
+          productStatusCounts[index]
         );
       });
 
       // Set stock metrics
-      this.lowStockProductsGauge.set(
-        { store_id: storeId, store_name: storeName, threshold: lowStockThreshold.toString() },
+      scrape.set(
+        this.lowStockProductsGauge,
+        { store_id: storeId, store_name: storeName },
         lowStockCount
       );
 
-      this.outOfStockProductsGauge.set(
+      scrape.set(
+        this.lowStockThresholdGauge,
+        { store_id: storeId, store_name: storeName },
+        storeInfo.lowStockThreshold
+      );
+
+      scrape.set(
+        this.outOfStockProductsGauge,
         { store_id: storeId, store_name: storeName },
         outOfStockCount
       );
 
-      logger.debug(`Product metrics collected for store ${storeId}: ${products.length} products, ${lowStockCount} low stock, ${outOfStockCount} out of stock`);
+      scrape.set(
+        this.backorderProductsGauge,
+        { store_id: storeId, store_name: storeName },
+        backorderCount
+      );
+
+      logger.debug(`Product metrics collected for store ${storeId}: ${totalProducts} products, ${variationCount} variations, ${lowStockCount} low stock, ${outOfStockCount} out of stock, ${backorderCount} on backorder`);
 
     } catch (error) {
       logger.error(`Error collecting product metrics for store ${storeId}:`, error.message);
       
-      this.scrapeErrorsCounter.inc({
-        store_id: storeId,
-        store_name: storeName,
-        error_type: 'products'
-      });
+      this.recordScrapeError(storeId, storeName, 'products');
 
       throw error;
     }
   }
 
   /**
-   * Collect customer-related metrics
+   * Collect sales by product category and SKU
+   * Kept apart from the product collector so an order sync failure doesn't take the stock metrics down with it
    * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   * @param {Promise<Array>} productsPromise - All products, when already being fetched for another collector
    */
-  async collectCustomerMetrics(wooClient) {
+  async collectProductSalesMetrics(wooClient, snapshot, productsPromise = wooClient.getAllProducts()) {
     const storeInfo = wooClient.getStoreInfo();
     const { id: storeId, name: storeName } = storeInfo;
+    const scrape = snapshot.section('product_sales');
+
+    try {
+      logger.debug(`Collecting product sales metrics for store ${storeId}`);
+
+      // Line items only reference products, so categories come from the product list
+      const [products, orders, timeZone] = await Promise.all([
+        productsPromise,
+        this.orderCache.sync(wooClient),
+        wooClient.getTimezone()
+      ]);
+
+      // A product list cut off at the page limit misses categories, so sold products missing from it are looked up by ID
+      const categorized = wooClient.isTruncated('products')
+        ? products.concat(await this.getMissingSoldProducts(wooClient, orders, products))
+        : products;
+
+      this.setSalesBreakdownMetrics(scrape, storeInfo, orders, categorized, createPeriodMatcher(timeZone));
+
+    } catch (error) {
+      logger.error(`Error collecting product sales metrics for store ${storeId}:`, error.message);
+
+      this.recordScrapeError(storeId, storeName, 'product_sales');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get the low stock threshold for a product or variation
+   * WooCommerce's per-product low_stock_amount wins (a variation's own, then its parent's), then the
+   * highest threshold among the product's configured categories, then the store threshold
+   * @param {Object} product - WooCommerce product or variation
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Object|null} parent - Parent product of a variation
+   * @returns {number} Threshold
+   */
+  getLowStockThreshold(product, storeInfo, parent = null) {
+    const productThreshold = [product, parent]
+      .map(item => parseInt(item?.low_stock_amount))
+      .find(Number.isFinite);
+    if (productThreshold !== undefined) {
+      return productThreshold;
+    }
+
+    // Variations have no categories of their own
+    const thresholds = storeInfo.categoryLowStockThresholds;
+    const categoryThresholds = ((parent || product).categories || [])
+      .map(category => thresholds[category.slug?.toLowerCase()] ?? thresholds[category.name?.toLowerCase()])
+      .filter(Number.isFinite);
+
+    return categoryThresholds.length > 0 ? Math.max(...categoryThresholds) : storeInfo.lowStockThreshold;
+  }
+
+  /**
+   * Format a variation's attributes as a label value, e.g. "Color=Red,Size=M"
+   * @param {Object} variation - WooCommerce variation
+   * @returns {string} Attributes
+   */
+  formatVariationAttributes(variation) {
+    return (variation.attributes || [])
+      .map(attribute => `${attribute.name}=${attribute.option}`)
+      .join(',');
+  }
+
+  /**
+   * Collect customer-related metrics
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   */
+  async collectCustomerMetrics(wooClient, snapshot) {
+    const storeInfo = wooClient.getStoreInfo();
+    const { id: storeId, name: storeName, currency } = storeInfo;
     const apiStartTime = Date.now();
+    const scrape = snapshot.section('customers');
 
     try {
       logger.debug(`Collecting customer metrics for store ${storeId}`);
 
-      // Get customer count (just first page to get total from headers if available)
-      const customers = await wooClient.getCustomers({ per_page: 1 });
+      // Exact customer count from X-WP-Total with a single per_page=1 request, the customers
+      // registered since the last collection and every customer's lifetime value
+      const [totalCustomers, customers, lifetimeValues] = await Promise.all([
+        wooClient.getCustomerCount(),
+        this.customerCache.sync(wooClient),
+        this.customerCache.getLifetimeValues(wooClient)
+      ]);
       
       // Track API response time
       const apiDuration = (Date.now() - apiStartTime) / 1000;
-      this.apiResponseTimeGauge.set(
+      scrape.set(
+        this.apiResponseTimeGauge,
         { store_id: storeId, store_name: storeName, endpoint: 'customers' },
         apiDuration
       );
 
-      // For a more accurate count, we'd need to paginate through all customers
-      // But for now, we'll use a simple approach
-      let totalCustomers = 0;
-      try {
-        // Try to get all customers (this might be expensive for large stores)
-        const allCustomers = await wooClient.getCustomers({ per_page: 100 });
-        totalCustomers = allCustomers.length;
-        
-        // If we got exactly 100, there might be more
-        if (allCustomers.length === 100) {
-          // Do a quick count by getting multiple pages
-          let page = 2;
-          let hasMore = true;
-          while (hasMore && page <= 10) { // Limit to first 10 pages for performance
-            const pageCustomers = await wooClient.getCustomers({ per_page: 100, page });
-            if (pageCustomers.length === 0) {
-              hasMore = false;
-            } else {
-              totalCustomers += pageCustomers.length;
-              page++;
-            }
-          }
-        }
-      } catch (error) {
-        // If we can't get all customers, just use what we have
-        logger.warn(`Could not get full customer count for store ${storeId}, using partial count`);
-        totalCustomers = customers.length;
-      }
-
       // Set customer metrics
-      this.totalCustomersGauge.set(
+      scrape.set(
+        this.totalCustomersGauge,
         { store_id: storeId, store_name: storeName },
         totalCustomers
       );
 
-      logger.debug(`Customer metrics collected for store ${storeId}: ${totalCustomers} customers`);
+      // Periods are evaluated in the store's timezone
+      const getPeriods = createPeriodMatcher(await wooClient.getTimezone());
+
+      // New customers by registration date
+      const newCustomers = Object.fromEntries(PERIODS.map(period => [period, 0]));
+      customers.forEach(customer => {
+        const registeredAt = this.getOrderTime(customer, 'date_created');
+        if (registeredAt !== null) {
+          getPeriods(registeredAt).forEach(period => {
+            newCustomers[period]++;
+          });
+        }
+      });
+
+      Object.entries(newCustomers).forEach(([period, count]) => {
+        scrape.set(this.newCustomersGauge, { store_id: storeId, store_name: storeName, period }, count);
+      });
+
+      // Lifetime value and order count of customers who ordered, as WooCommerce reports them
+      // (total_spent is in the store currency)
+      const buyers = lifetimeValues.filter(customer => (parseInt(customer.orders_count) || 0) > 0);
+
+      this.setGaugeHistogram(
+        scrape,
+        { bucket: this.customerValueBucketGauge, sum: this.customerValueSumGauge, count: this.customerValueCountGauge },
+        { store_id: storeId, store_name: storeName, currency },
+        buyers.map(customer => parseFloat(customer.total_spent) || 0),
+        CUSTOMER_VALUE_BUCKETS
+      );
+
+      this.setGaugeHistogram(
+        scrape,
+        { bucket: this.customerOrdersBucketGauge, sum: this.customerOrdersSumGauge, count: this.customerOrdersCountGauge },
+        { store_id: storeId, store_name: storeName },
+        buyers.map(customer => parseInt(customer.orders_count)),
+        CUSTOMER_ORDER_BUCKETS
+      );
+
+      logger.debug(`Customer metrics collected for store ${storeId}: ${totalCustomers} customers, ${customers.length} registered recently, ${buyers.length} with orders`);
 
     } catch (error) {
       logger.error(`Error collecting customer metrics for store ${storeId}:`, error.message);
       
-      this.scrapeErrorsCounter.inc({
-        store_id: storeId,
-        store_name: storeName,
-        error_type: 'customers'
-      });
+      this.recordScrapeError(storeId, storeName, 'customers');
 
       throw error;
     }
   }
 
+  /**
+   * Collect first-time, returning and guest order metrics from the cached orders
+   * Kept apart from the customer collector so an order sync failure doesn't take the customer metrics down with it
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   */
+  async collectCustomerOrderMetrics(wooClient, snapshot) {
+    const storeInfo = wooClient.getStoreInfo();
+    const { id: storeId, name: storeName } = storeInfo;
+    const scrape = snapshot.section('customer_orders');
+
+    try {
+      logger.debug(`Collecting customer order metrics for store ${storeId}`);
+
+      // Orders are shared with the order collector's sync
+      const [orders, timeZone] = await Promise.all([
+        this.orderCache.sync(wooClient),
+        wooClient.getTimezone()
+      ]);
+
+      this.setCustomerOrderMetrics(scrape, storeInfo, orders, createPeriodMatcher(timeZone));
+
+    } catch (error) {
+      logger.error(`Error collecting customer order metrics for store ${storeId}:`, error.message);
+
+      this.recordScrapeError(storeId, storeName, 'customer_orders');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Collect coupon-related metrics
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   * @param {Promise<Array>} couponsPromise - All coupons, when already being fetched for another collector
+   */
+  async collectCouponMetrics(wooClient, snapshot, couponsPromise = wooClient.getAllCoupons()) {
+    const storeInfo = wooClient.getStoreInfo();
+    const { id: storeId, name: storeName } = storeInfo;
+    const apiStartTime = Date.now();
+    const scrape = snapshot.section('coupons');
+
+    try {
+      logger.debug(`Collecting coupon metrics for store ${storeId}`);
+
+      const coupons = await couponsPromise;
+
+      // Track API response time
+      const apiDuration = (Date.now() - apiStartTime) / 1000;
+      scrape.set(
+        this.apiResponseTimeGauge,
+        { store_id: storeId, store_name: storeName, endpoint: 'coupons' },
+        apiDuration
+      );
+
+      const now = Date.now();
+      const expiryWindowEnd = now + COUPON_EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000;
+      let expiringSoonCount = 0;
+
+      // Only active coupons get per-code series to keep cardinality bounded
+      const activeCoupons = coupons.filter(coupon => {
+        const expiresAt = this.parseGmtDate(coupon.date_expires_gmt);
+        const isExpired = expiresAt !== null && expiresAt <= now;
+        const isUsedUp = coupon.usage_limit !== null && coupon.usage_count >= coupon.usage_limit;
+        // Older WooCommerce versions don't include a status in the coupon response
+        const isPublished = !coupon.status || coupon.status === 'publish';
+        return isPublished && !isExpired && !isUsedUp;
+      });
+
+      activeCoupons.forEach(coupon => {
+        const code = coupon.code.toLowerCase();
+
+        scrape.set(
+          this.couponUsageCountGauge,
+          { store_id: storeId, store_name: storeName, code },
+          coupon.usage_count || 0
+        );
+
+        if (coupon.usage_limit !== null) {
+          scrape.set(
+            this.couponUsageLimitGauge,
+            { store_id: storeId, store_name: storeName, code },
+            coupon.usage_limit
+          );
+        }
+
+        const expiresAt = this.parseGmtDate(coupon.date_expires_gmt);
+        if (expiresAt !== null && expiresAt <= expiryWindowEnd) {
+          expiringSoonCount++;
+        }
+      });
+
+      scrape.set(
+        this.activeCouponsGauge,
+        { store_id: storeId, store_name: storeName },
+        activeCoupons.length
+      );
+
+      scrape.set(
+        this.couponsExpiringSoonGauge,
+        { store_id: storeId, store_name: storeName, within_days: COUPON_EXPIRY_WARNING_DAYS.toString() },
+        expiringSoonCount
+      );
+
+      logger.debug(`Coupon metrics collected for store ${storeId}: ${activeCoupons.length} active coupons, ${expiringSoonCount} expiring soon`);
+
+    } catch (error) {
+      logger.error(`Error collecting coupon metrics for store ${storeId}:`, error.message);
+      
+      this.recordScrapeError(storeId, storeName, 'coupons');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Collect discounts given on paid orders, in total and per coupon code
+   * Kept apart from the coupon collector so an order sync failure doesn't take the coupon metrics down with it
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   * @param {Promise<Array>} couponsPromise - All coupons, when already being fetched for another collector
+   */
+  async collectCouponDiscountMetrics(wooClient, snapshot, couponsPromise = wooClient.getAllCoupons()) {
+    const storeInfo = wooClient.getStoreInfo();
+    const { id: storeId, name: storeName, currency } = storeInfo;
+    const scrape = snapshot.section('coupon_discounts');
+
+    try {
+      logger.debug(`Collecting coupon discount metrics for store ${storeId}`);
+
+      // Orders are shared with the order collector's sync
+      const [coupons, orders, timeZone] = await Promise.all([
+        couponsPromise,
+        this.orderCache.sync(wooClient),
+        wooClient.getTimezone()
+      ]);
+
+      // Discounts per order currency; the store currency is always exported
+      const knownCodes = new Set(coupons.map(coupon => coupon.code.toLowerCase()));
+      const getPeriods = createPeriodMatcher(timeZone);
+      const discountByCurrency = { [currency]: this.createPeriodTotals() };
+      const discountByCode = {}; // currency -> code -> amount
+
+      orders.forEach(order => {
+        if (!PAID_ORDER_STATUSES.includes(order.status)) {
+          return;
+        }
+
+        const discount = parseFloat(order.discount_total) || 0;
+        const orderCurrency = order.currency || currency;
+        const discountByPeriod = discountByCurrency[orderCurrency] = discountByCurrency[orderCurrency] || this.createPeriodTotals();
+        const codeTotals = discountByCode[orderCurrency] = discountByCode[orderCurrency] || {};
+
+        discountByPeriod.all_time += discount;
+        getPeriods(this.getOrderTime(order, 'date_created')).forEach(period => {
+          discountByPeriod[period] += discount;
+        });
+
+        (order.coupon_lines || []).forEach(line => {
+          // Codes of deleted coupons are grouped so one-off codes can't explode cardinality
+          const code = knownCodes.has(line.code?.toLowerCase()) ? line.code.toLowerCase() : 'other';
+          codeTotals[code] = (codeTotals[code] || 0) + (parseFloat(line.discount) || 0);
+        });
+      });
+
+      Object.entries(discountByCurrency).forEach(([orderCurrency, discountByPeriod]) => {
+        Object.entries(discountByPeriod).forEach(([period, amount]) => {
+          scrape.set(
+            this.discountTotalGauge,
+            { store_id: storeId, store_name: storeName, currency: orderCurrency, period },
+            amount
+          );
+        });
+      });
+
+      Object.entries(discountByCode).forEach(([orderCurrency, codeTotals]) => {
+        Object.entries(codeTotals).forEach(([code, amount]) => {
+          scrape.set(
+            this.couponDiscountTotalGauge,
+            { store_id: storeId, store_name: storeName, currency: orderCurrency, code },
+            amount
+          );
+        });
+      });
+
+      logger.debug(`Coupon discount metrics collected for store ${storeId}: ${discountByCurrency[currency].all_time.toFixed(2)} total discount in ${currency}`);
+
+    } catch (error) {
+      logger.error(`Error collecting coupon discount metrics for store ${storeId}:`, error.message);
+
+      this.recordScrapeError(storeId, storeName, 'coupon_discounts');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Collect server-side revenue totals from the sales report endpoint
+   * Only runs for stores with sales reports enabled (STORE{N}_SALES_REPORTS=true)
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {StoreSnapshot} snapshot - Staging snapshot to write values into
+   */
+  async collectSalesReportMetrics(wooClient, snapshot) {
+    const storeInfo = wooClient.getStoreInfo();
+    const { id: storeId, name: storeName, currency } = storeInfo;
+
+    if (!storeInfo.salesReports) {
+      return;
+    }
+
+    const apiStartTime = Date.now();
+    const scrape = snapshot.section('sales_reports');
+
+    try {
+      logger.debug(`Collecting sales report metrics for store ${storeId}`);
+
+      // The day report uses the store-local date
+      const today = formatLocalDate(Date.now(), await wooClient.getTimezone());
+      const periods = Object.entries(SALES_REPORT_PERIODS);
+
+      const reports = await Promise.all(periods.map(([, params]) =>
+        wooClient.getOrderStats(params || { date_min: today, date_max: today })
+      ));
+
+      // Track API response time
+      const apiDuration = (Date.now() - apiStartTime) / 1000;
+      scrape.set(
+        this.apiResponseTimeGauge,
+        { store_id: storeId, store_name: storeName, endpoint: 'reports/sales' },
+        apiDuration
+      );
+
+      periods.forEach(([period], index) => {
+        // The endpoint returns a single-element array
+        const report = Array.isArray(reports[index]) ? reports[index][0] : reports[index];
+        if (!report) {
+          logger.warn(`Empty sales report for store ${storeId} (${period})`);
+          return;
+        }
+
+        Object.keys(SALES_REPORT_FIELDS).forEach(field => {
+          scrape.set(
+            this.salesReportGauges[field],
+            { store_id: storeId, store_name: storeName, currency, period },
+            parseFloat(report[field]) || 0
+          );
+        });
+      });
+
+      logger.debug(`Sales report metrics collected for store ${storeId}`);
+
+    } catch (error) {
+      logger.error(`Error collecting sales report metrics for store ${storeId}:`, error.message);
+      
+      this.recordScrapeError(storeId, storeName, 'sales_reports');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get an order date as a timestamp, preferring the GMT field
+   * @param {Object} order - Order
+   * @param {string} field - Date field name without the _gmt suffix (e.g. 'date_created')
+   * @returns {number|null} Timestamp in ms or null if missing
+   */
+  getOrderTime(order, field) {
+    const gmtTime = this.parseGmtDate(order[`${field}_gmt`]);
+    if (gmtTime !== null) {
+      return gmtTime;
+    }
+
+    // Fall back to the site-local date interpreted in the container's timezone
+    const localTime = order[field] ? Date.parse(order[field]) : NaN;
+    return Number.isNaN(localTime) ? null : localTime;
+  }
+
+  /**
+   * Set first-time, returning and guest order counts and the repeat purchase rate
+   * A registered customer's earliest paid order in the cache is their first order
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Array} orders - Cached orders
+   * @param {Function} getPeriods - Period matcher for the store's timezone
+   */
+  setCustomerOrderMetrics(scrape, storeInfo, orders, getPeriods) {
+    const { id: storeId, name: storeName } = storeInfo;
+    const paidOrders = orders
+      .filter(order => PAID_ORDER_STATUSES.includes(order.status))
+      .map(order => ({ customerId: parseInt(order.customer_id) || 0, createdAt: this.getOrderTime(order, 'date_created') }))
+      .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+
+    const counts = this.createPeriodTotals();
+    const byType = Object.fromEntries(['first_time', 'returning', 'guest'].map(type => [type, this.createPeriodTotals()]));
+    const ordersPerCustomer = new Map();
+
+    paidOrders.forEach(({ customerId, createdAt }) => {
+      let customerType = 'guest';
+      if (customerId !== 0) {
+        const previousOrders = ordersPerCustomer.get(customerId) || 0;
+        customerType = previousOrders > 0 ? 'returning' : 'first_time';
+        ordersPerCustomer.set(customerId, previousOrders + 1);
+      }
+
+      ['all_time', ...(createdAt !== null ? getPeriods(createdAt) : [])].forEach(period => {
+        counts[period]++;
+        byType[customerType][period]++;
+      });
+    });
+
+    Object.entries(byType).forEach(([customerType, byPeriod]) => {
+      Object.entries(byPeriod).forEach(([period, count]) => {
+        scrape.set(
+          this.ordersByCustomerTypeGauge,
+          { store_id: storeId, store_name: storeName, period, customer_type: customerType },
+          count
+        );
+      });
+    });
+
+    Object.entries(counts).forEach(([period, count]) => {
+      scrape.set(
+        this.guestCheckoutRatioGauge,
+        { store_id: storeId, store_name: storeName, period },
+        count > 0 ? byType.guest[period] / count : 0
+      );
+    });
+
+    const repeatCustomers = [...ordersPerCustomer.values()].filter(count => count > 1).length;
+    scrape.set(
+      this.repeatPurchaseRateGauge,
+      { store_id: storeId, store_name: storeName },
+      ordersPerCustomer.size > 0 ? repeatCustomers / ordersPerCustomer.size : 0
+    );
+  }
+
+  /**
+   * Build a function mapping a breakdown key to its exported label value
+   * Keys on the allowlist, or without one the BREAKDOWN_TOP_N keys with the highest counts, keep their
+   * own label value and everything else becomes "other"
+   * @param {Object} counts - Key -> all-time count
+   * @param {Array} allowlist - Keys to keep (empty for top-N)
+   * @param {number} limit - Number of keys kept without an allowlist
+   * @returns {Function} Key -> label value
+   */
+  createLabelMapper(counts, allowlist = [], limit = BREAKDOWN_TOP_N) {
+    const kept = new Set(allowlist.length > 0
+      ? allowlist
+      : Object.keys(counts).sort((a, b) => counts[b] - counts[a]).slice(0, limit));
+
+    return key => (kept.has(key) ? key : 'other');
+  }
+
+  /**
+   * Add to a nested period total, creating the path as needed
+   * @param {Object} totals - Nested totals
+   * @param {Array} path - Keys leading to the period totals
+   * @param {Array} periods - Periods to add to
+   * @param {number} value - Value to add
+   */
+  addToPeriods(totals, path, periods, value) {
+    const byPeriod = path.reduce((node, key) => (node[key] = node[key] || {}), totals);
+    periods.forEach(period => {
+      byPeriod[period] = (byPeriod[period] || 0) + value;
+    });
+  }
+
+  /**
+   * Set order counts, failure rates and revenue by payment gateway
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Array} orders - Cached orders
+   * @param {Function} getPeriods - Period matcher for the store's timezone
+   */
+  setPaymentMetrics(scrape, storeInfo, orders, getPeriods) {
+    const { id: storeId, name: storeName, currency } = storeInfo;
+    const methodOf = order => order.payment_method || 'none';
+
+    const counts = {};
+    orders.forEach(order => {
+      counts[methodOf(order)] = (counts[methodOf(order)] || 0) + 1;
+    });
+    const toLabel = this.createLabelMapper(counts, PAYMENT_METHOD_ALLOWLIST);
+
+    const totals = { orders: {}, failed: {}, revenue: {} };
+    const titles = {};
+
+    orders.forEach(order => {
+      const method = toLabel(methodOf(order));
+      const createdAt = this.getOrderTime(order, 'date_created');
+      const periods = ['all_time', ...(createdAt !== null ? getPeriods(createdAt) : [])];
+
+      this.addToPeriods(totals.orders, [method], periods, 1);
+      this.addToPeriods(totals.failed, [method], periods, order.status === 'failed' ? 1 : 0);
+
+      if (PAID_ORDER_STATUSES.includes(order.status)) {
+        this.addToPeriods(totals.revenue, [method, order.currency || currency], periods, parseFloat(order.total) || 0);
+      }
+
+      if (method !== 'other' && order.payment_method_title) {
+        titles[method] = order.payment_method_title;
+      }
+    });
+
+    Object.entries(totals.orders).forEach(([method, byPeriod]) => {
+      ['all_time', ...PERIODS].forEach(period => {
+        const count = byPeriod[period] || 0;
+        const labels = { store_id: storeId, store_name: storeName, payment_method: method, period };
+        const failed = totals.failed[method][period] || 0;
+
+        scrape.set(this.paymentMethodOrdersGauge, labels, count);
+        scrape.set(this.paymentMethodFailedOrdersGauge, labels, failed);
+        scrape.set(this.paymentMethodFailureRateGauge, labels, count > 0 ? failed / count : 0);
+      });
+    });
+
+    Object.entries(totals.revenue).forEach(([method, byCurrency]) => {
+      Object.entries(byCurrency).forEach(([orderCurrency, byPeriod]) => {
+        ['all_time', ...PERIODS].forEach(period => {
+          const amount = byPeriod[period] || 0;
+          scrape.set(
+            this.paymentMethodRevenueGauge,
+            { store_id: storeId, store_name: storeName, payment_method: method, currency: orderCurrency, period },
+            amount
+          );
+        });
+      });
+    });
+
+    Object.entries(titles).forEach(([method, title]) => {
+      scrape.set(this.paymentMethodInfoGauge, { store_id: storeId, store_name: storeName, payment_method: method, title }, 1);
+    });
+  }
+
+  /**
+   * Set paid order counts and shipping charged by shipping method
+   * An order with several shipping lines counts once for each method it used
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Array} orders - Cached orders
+   * @param {Function} getPeriods - Period matcher for the store's timezone
+   */
+  setShippingMetrics(scrape, storeInfo, orders, getPeriods) {
+    const { id: storeId, name: storeName, currency } = storeInfo;
+    const paidOrders = orders.filter(order => PAID_ORDER_STATUSES.includes(order.status));
+    const linesOf = order => (order.shipping_lines?.length > 0 ? order.shipping_lines : [{ method_id: 'none', total: 0 }]);
+
+    const counts = {};
+    paidOrders.forEach(order => {
+      linesOf(order).forEach(line => {
+        const method = line.method_id || 'none';
+        counts[method] = (counts[method] || 0) + 1;
+      });
+    });
+    const toLabel = this.createLabelMapper(counts, SHIPPING_METHOD_ALLOWLIST);
+
+    const orderCounts = {};
+    const revenue = {};
+
+    paidOrders.forEach(order => {
+      const createdAt = this.getOrderTime(order, 'date_created');
+      const periods = ['all_time', ...(createdAt !== null ? getPeriods(createdAt) : [])];
+      const methods = new Set();
+
+      linesOf(order).forEach(line => {
+        const method = toLabel(line.method_id || 'none');
+        methods.add(method);
+        this.addToPeriods(revenue, [method, order.currency || currency], periods, parseFloat(line.total) || 0);
+      });
+
+      methods.forEach(method => this.addToPeriods(orderCounts, [method], periods, 1));
+    });
+
+    Object.entries(orderCounts).forEach(([method, byPeriod]) => {
+      ['all_time', ...PERIODS].forEach(period => {
+        const count = byPeriod[period] || 0;
+        scrape.set(
+          this.shippingMethodOrdersGauge,
+          { store_id: storeId, store_name: storeName, shipping_method: method, period },
+          count
+        );
+      });
+    });
+
+    Object.entries(revenue).forEach(([method, byCurrency]) => {
+      Object.entries(byCurrency).forEach(([orderCurrency, byPeriod]) => {
+        ['all_time', ...PERIODS].forEach(period => {
+          const amount = byPeriod[period] || 0;
+          scrape.set(
+            this.shippingMethodRevenueGauge,
+            { store_id: storeId, store_name: storeName, shipping_method: method, currency: orderCurrency, period },
+            amount
+          );
+        });
+      });
+    });
+  }
+
+  /**
+   * Get the products sold in paid orders that are missing from a truncated product list
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @param {Array} orders - Cached orders
+   * @param {Array} products - Products fetched up to the page limit
+   * @returns {Promise<Array>} Missing products that still exist
+   */
+  async getMissingSoldProducts(wooClient, orders, products) {
+    const known = new Set(products.map(product => product.id));
+    const missing = new Set();
+
+    orders
+      .filter(order => PAID_ORDER_STATUSES.includes(order.status))
+      .forEach(order => (order.line_items || []).forEach(item => {
+        if (item.product_id && !known.has(item.product_id)) {
+          missing.add(item.product_id);
+        }
+      }));
+
+    if (missing.size === 0) {
+      return [];
+    }
+
+    logger.warn(`Product list of store ${wooClient.getStoreInfo().id} hit the page limit, looking up ${missing.size} sold products by ID for their categories`);
+    return wooClient.getProductsById(Array.from(missing));
+  }
+
+  /**
+   * Set items sold and line item revenue of paid orders by product category and SKU
+   * A product in several categories counts in each of them; line items without a SKU are labeled "product-<id>"
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Array} orders - Cached orders
+   * @param {Array} products - Products (line items reference the parent product of a variation)
+   * @param {Function} getPeriods - Period matcher for the store's timezone
+   */
+  setSalesBreakdownMetrics(scrape, storeInfo, orders, products, getPeriods) {
+    const { id: storeId, name: storeName, currency } = storeInfo;
+    const paidOrders = orders.filter(order => PAID_ORDER_STATUSES.includes(order.status));
+    const categoriesOf = new Map(products.map(product => [
+      product.id,
+      (product.categories || []).map(category => category.slug).filter(Boolean)
+    ]));
+    const lineItemsOf = order => (order.line_items || []).map(item => ({
+      categories: categoriesOf.get(item.product_id) || ['unknown'],
+      sku: item.sku || `product-${item.variation_id || item.product_id}`,
+      quantity: parseInt(item.quantity) || 0,
+      total: parseFloat(item.total) || 0
+    }));
+
+    // Rank categories and SKUs by all-time quantity
+    const categoryCounts = {};
+    const skuCounts = {};
+    paidOrders.forEach(order => {
+      lineItemsOf(order).forEach(item => {
+        item.categories.forEach(category => {
+          categoryCounts[category] = (categoryCounts[category] || 0) + item.quantity;
+        });
+        skuCounts[item.sku] = (skuCounts[item.sku] || 0) + item.quantity;
+      });
+    });
+    const toCategoryLabel = this.createLabelMapper(categoryCounts, CATEGORY_ALLOWLIST);
+    const toSkuLabel = this.createLabelMapper(skuCounts, SKU_ALLOWLIST, SKU_TOP_N);
+
+    const categoryQuantity = {};
+    const categoryRevenue = {};
+    const skuQuantity = {};
+    const skuRevenue = {};
+
+    paidOrders.forEach(order => {
+      const createdAt = this.getOrderTime(order, 'date_created');
+      const periods = ['all_time', ...(createdAt !== null ? getPeriods(createdAt) : [])];
+      const orderCurrency = order.currency || currency;
+
+      lineItemsOf(order).forEach(item => {
+        // Categories grouped into "other" still count the item once
+        new Set(item.categories.map(toCategoryLabel)).forEach(category => {
+          this.addToPeriods(categoryQuantity, [category], periods, item.quantity);
+          this.addToPeriods(categoryRevenue, [category, orderCurrency], periods, item.total);
+        });
+
+        const sku = toSkuLabel(item.sku);
+        this.addToPeriods(skuQuantity, [sku], periods, item.quantity);
+        this.addToPeriods(skuRevenue, [sku, orderCurrency], periods, item.total);
+      });
+    });
+
+    const setQuantities = (gauge, labelName, totals) => {
+      Object.entries(totals).forEach(([key, byPeriod]) => {
+        ['all_time', ...PERIODS].forEach(period => {
+          scrape.set(gauge, { store_id: storeId, store_name: storeName, [labelName]: key, period }, byPeriod[period] || 0);
+        });
+      });
+    };
+
+    const setRevenue = (gauge, labelName, totals) => {
+      Object.entries(totals).forEach(([key, byCurrency]) => {
+        Object.entries(byCurrency).forEach(([orderCurrency, byPeriod]) => {
+          ['all_time', ...PERIODS].forEach(period => {
+            scrape.set(
+              gauge,
+              { store_id: storeId, store_name: storeName, [labelName]: key, currency: orderCurrency, period },
+              byPeriod[period] || 0
+            );
+          });
+        });
+      });
+    };
+
+    setQuantities(this.categorySalesQuantityGauge, 'category', categoryQuantity);
+    setRevenue(this.categorySalesRevenueGauge, 'category', categoryRevenue);
+    setQuantities(this.skuSalesQuantityGauge, 'sku', skuQuantity);
+    setRevenue(this.skuSalesRevenueGauge, 'sku', skuRevenue);
+  }
+
+  /**
+   * Make free text safe to use as a label value
+   * Strips control characters, collapses whitespace and truncates long values
+   * @param {string} value - Text such as a product name
+   * @returns {string} Sanitized value
+   */
+  sanitizeLabelValue(value) {
+    const text = String(value ?? '')
+      .replace(/[\u0000-\u001f\u007f]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return text.length > PRODUCT_NAME_MAX_LENGTH ? `${text.slice(0, PRODUCT_NAME_MAX_LENGTH - 1)}…` : text;
+  }
+
+  /**
+   * Set paid order counts and revenue by country
+   * Orders without a shipping address (e.g. virtual products) fall back to the billing country
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Array} orders - Cached orders
+   * @param {Function} getPeriods - Period matcher for the store's timezone
+   */
+  setCountryMetrics(scrape, storeInfo, orders, getPeriods) {
+    const { id: storeId, name: storeName, currency, countryAddress } = storeInfo;
+    const paidOrders = orders.filter(order => PAID_ORDER_STATUSES.includes(order.status));
+    const countryOf = order => (order[countryAddress]?.country || order.billing?.country)?.toUpperCase() || 'unknown';
+
+    const counts = {};
+    paidOrders.forEach(order => {
+      counts[countryOf(order)] = (counts[countryOf(order)] || 0) + 1;
+    });
+    const toLabel = this.createLabelMapper(counts, [], COUNTRY_TOP_N);
+
+    const orderCounts = {};
+    const revenue = {};
+
+    paidOrders.forEach(order => {
+      const country = toLabel(countryOf(order));
+      const createdAt = this.getOrderTime(order, 'date_created');
+      const periods = ['all_time', ...(createdAt !== null ? getPeriods(createdAt) : [])];
+
+      this.addToPeriods(orderCounts, [country], periods, 1);
+      this.addToPeriods(revenue, [country, order.currency || currency], periods, parseFloat(order.total) || 0);
+    });
+
+    Object.entries(orderCounts).forEach(([country, byPeriod]) => {
+      ['all_time', ...PERIODS].forEach(period => {
+        scrape.set(
+          this.ordersByCountryGauge,
+          { store_id: storeId, store_name: storeName, country, period },
+          byPeriod[period] || 0
+        );
+      });
+    });
+
+    Object.entries(revenue).forEach(([country, byCurrency]) => {
+      Object.entries(byCurrency).forEach(([orderCurrency, byPeriod]) => {
+        ['all_time', ...PERIODS].forEach(period => {
+          scrape.set(
+            this.revenueByCountryGauge,
+            { store_id: storeId, store_name: storeName, country, currency: orderCurrency, period },
+            byPeriod[period] || 0
+          );
+        });
+      });
+    });
+  }
+
+  /**
+   * Create revenue totals for all_time and every period
+   * @returns {Object} Period -> 0
+   */
+  createPeriodTotals() {
+    return Object.fromEntries(['all_time', ...PERIODS].map(period => [period, 0]));
+  }
+
+  /**
+   * Create period totals for every revenue component
+   * @returns {Object} Component -> period -> 0
+   */
+  createRevenueComponentTotals() {
+    return Object.fromEntries(Object.keys(REVENUE_COMPONENTS).map(component => [component, this.createPeriodTotals()]));
+  }
+
+  /**
+   * Split an order total into its revenue components
+   * WooCommerce stores line item totals after discounts and before tax, so whatever remains of the
+   * total after tax, shipping and fees is the net product revenue
+   * @param {Object} order - Cached order
+   * @returns {Object} Component -> amount
+   */
+  getRevenueComponents(order) {
+    const tax = parseFloat(order.total_tax) || 0;
+    const shipping = parseFloat(order.shipping_total) || 0;
+    const fees = (order.fee_lines || []).reduce((sum, line) => sum + (parseFloat(line.total) || 0), 0);
+
+    return {
+      tax,
+      shipping,
+      discount: parseFloat(order.discount_total) || 0,
+      fees,
+      products: (parseFloat(order.total) || 0) - tax - shipping - fees
+    };
+  }
+
+  /**
+   * Set revenue converted into the reporting currency
+   * Conversion has its own snapshot section, so when rates are missing the previous values are kept
+   * instead of publishing a total that silently leaves out a currency
+   * @param {StoreSnapshot} snapshot - Staging snapshot
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Object} revenueByCurrency - Currency -> period -> revenue
+   * @param {Object} netRevenueByCurrency - Currency -> period -> net revenue
+   */
+  async setConvertedRevenueMetrics(snapshot, storeInfo, revenueByCurrency, netRevenueByCurrency) {
+    if (!this.exchangeRates.enabled) {
+      // Drop the series left over from before conversion was turned off
+      snapshot.clear('currency_conversion');
+      return;
+    }
+
+    const { id: storeId, name: storeName } = storeInfo;
+    const reportingCurrency = this.exchangeRates.reportingCurrency;
+    const currencies = Object.keys(revenueByCurrency);
+    const rates = await this.exchangeRates.getRates();
+    const missing = rates
+      ? currencies.filter(currency => this.exchangeRates.getRate(rates, currency) === null)
+      : currencies;
+
+    if (missing.length > 0) {
+      logger.warn(`No exchange rate from ${missing.join(', ')} to ${reportingCurrency}, keeping the previous converted revenue for store ${storeId}`);
+      return;
+    }
+
+    const conversion = snapshot.section('currency_conversion');
+
+    ['all_time', ...PERIODS].forEach(period => {
+      const labels = { store_id: storeId, store_name: storeName, currency: reportingCurrency, period };
+      const convert = byCurrency => currencies.reduce(
+        (sum, currency) => sum + this.exchangeRates.convert(rates, byCurrency[currency][period], currency),
+        0
+      );
+
+      conversion.set(this.convertedRevenueGauge, labels, convert(revenueByCurrency));
+      conversion.set(this.convertedNetRevenueGauge, labels, convert(netRevenueByCurrency));
+    });
+  }
+
+  /**
+   * Normalize a free-text refund reason for use as a label value
+   * @param {string} reason - Refund reason entered by the shop manager
+   * @returns {string} Normalized reason ("none" if empty)
+   */
+  normalizeRefundReason(reason) {
+    const normalized = String(reason || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, 64);
+    return normalized || 'none';
+  }
+
+  /**
+   * Set refund amounts and counts, keeping the reasons with the highest all-time amounts
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {string} currency - Currency of the refunded orders
+   * @param {Object} refundsByReason - Reason -> period -> { amount, count }
+   */
+  setRefundMetrics(scrape, storeInfo, currency, refundsByReason) {
+    const { id: storeId, name: storeName } = storeInfo;
+    const reasons = Object.keys(refundsByReason)
+      .sort((a, b) => refundsByReason[b].all_time.amount - refundsByReason[a].all_time.amount);
+    const kept = new Set(reasons.slice(0, REFUND_REASON_LIMIT));
+
+    const totals = {}; // exported reason -> period -> { amount, count }
+    reasons.forEach(reason => {
+      const label = kept.has(reason) ? reason : 'other';
+      totals[label] = totals[label] || {};
+
+      Object.entries(refundsByReason[reason]).forEach(([period, { amount, count }]) => {
+        totals[label][period] = totals[label][period] || { amount: 0, count: 0 };
+        totals[label][period].amount += amount;
+        totals[label][period].count += count;
+      });
+    });
+
+    Object.entries(totals).forEach(([reason, byPeriod]) => {
+      ['all_time', ...PERIODS].forEach(period => {
+        const { amount, count } = byPeriod[period] || { amount: 0, count: 0 };
+        const labels = { store_id: storeId, store_name: storeName, currency, period, reason };
+
+        scrape.set(this.refundAmountGauge, labels, amount);
+        scrape.set(this.refundCountGauge, labels, count);
+      });
+    });
+  }
+
+  /**
+   * Write a histogram of the current values as bucket/sum/count gauges
+   * Unlike a prom-client Histogram the buckets describe this collection only, so they can go down
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} histogram - { bucket, sum, count } gauges
+   * @param {Object} labels - Label set (without le)
+   * @param {Array} values - Observed values
+   * @param {Array} buckets - Sorted bucket upper bounds
+   */
+  setGaugeHistogram(scrape, histogram, labels, values, buckets) {
+    buckets.forEach(bucket => {
+      scrape.set(histogram.bucket, { ...labels, le: String(bucket) }, values.filter(value => value <= bucket).length);
+    });
+    scrape.set(histogram.bucket, { ...labels, le: '+Inf' }, values.length);
+    scrape.set(histogram.sum, labels, values.reduce((sum, value) => sum + value, 0));
+    scrape.set(histogram.count, labels, values.length);
+  }
+
+  /**
+   * Get when an order entered its current status
+   * WooCommerce keeps no status history, so processing orders count from payment and others from creation
+   * @param {Object} order - WooCommerce order
+   * @returns {number|null} Timestamp in ms or null if unknown
+   */
+  getOrderStatusSince(order) {
+    if (order.status === 'processing') {
+      return this.getOrderTime(order, 'date_paid') ?? this.getOrderTime(order, 'date_created');
+    }
+
+    return this.getOrderTime(order, 'date_created');
+  }
+
+  /**
+   * Set order age histograms, oldest order ages and SLA breaches
+   * @param {Object} scrape - Snapshot section writer
+   * @param {Object} storeInfo - Store info from WooCommerceClient.getStoreInfo()
+   * @param {Object} orderAges - Status -> ages in hours
+   */
+  setOrderAgeMetrics(scrape, storeInfo, orderAges) {
+    const { id: storeId, name: storeName, orderSlaHours } = storeInfo;
+
+    Object.entries(orderAges).forEach(([status, ages]) => {
+      const labels = { store_id: storeId, store_name: storeName, status };
+
+      this.setGaugeHistogram(
+        scrape,
+        { bucket: this.orderAgeBucketGauge, sum: this.orderAgeSumGauge, count: this.orderAgeCountGauge },
+        labels,
+        ages,
+        ORDER_AGE_BUCKETS
+      );
+      scrape.set(this.oldestOrderAgeGauge, labels, ages.length > 0 ? Math.max(...ages) : 0);
+
+      if (orderSlaHours[status] !== undefined) {
+        scrape.set(
+          this.orderSlaBreachesGauge,
+          { ...labels, sla_hours: String(orderSlaHours[status]) },
+          ages.filter(age => age > orderSlaHours[status]).length
+        );
+      }
+    });
+  }
+
+  /**
+   * Parse a WooCommerce GMT date (ISO8601 without zone suffix)
+   * @param {string|null} value - Date string
+   * @returns {number|null} Timestamp in ms or null if missing/invalid
+   */
+  parseGmtDate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const time = Date.parse(value.endsWith('Z') ? value : `${value}Z`);
+    return Number.isNaN(time) ? null : time;
+  }
+
   /**
    * Get formatted metrics string for Prometheus
    * @returns {string} Formatted metrics
@@ -688,6 +2724,9 @@ class MetricsCollector {
    */
   clearMetrics() {
     this.register.clear();
+    this.publishedSeries.clear();
+    this.snapshotTimes.clear();
+    this.storeSeries.clear();
     this.initializeMetrics();
     logger.info('All metrics cleared and reinitialized');
   }
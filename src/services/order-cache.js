@@ -0,0 +1,380 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+// Get __dirname equivalent for ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bump when the cached order shape changes so stale caches get rebuilt
+const CACHE_VERSION = 9;
+
+// Order fields kept in the cache (everything else is dropped to keep files small)
+const ORDER_FIELDS = [
+  'id',
+  'status',
+  'currency',
+  'customer_id',
+  'payment_method',
+  'payment_method_title',
+  'total',
+  'total_tax',
+  'shipping_total',
+  'discount_total',
+  'date_created',
+  'date_created_gmt',
+  'date_modified_gmt',
+  'date_paid',
+  'date_paid_gmt',
+  'date_completed',
+  'date_completed_gmt'
+];
+
+// Fields kept for each entry of the order's nested arrays
+const NESTED_FIELDS = {
+  line_items: ['product_id', 'variation_id', 'sku', 'name', 'quantity', 'total'],
+  coupon_lines: ['code', 'discount'],
+  shipping_lines: ['method_id', 'method_title', 'total'],
+  fee_lines: ['total']
+};
+
+// Fields kept from the order's address objects (no personal data beyond the country)
+const ADDRESS_FIELDS = {
+  billing: ['country'],
+  shipping: ['country']
+};
+
+// Fields kept for each refund, fetched from orders/{id}/refunds
+const REFUND_FIELDS = ['id', 'reason', 'amount', 'date_created', 'date_created_gmt'];
+
+// Re-fetch a small overlap so orders modified in the same second as the watermark are not missed
+const WATERMARK_OVERLAP_MS = 1000;
+
+/**
+ * Persistent per-store order cache with incremental sync
+ * Orders are fetched once and then only re-fetched when modified
+ */
+class OrderCache {
+  constructor(options = {}) {
+    this.directory = options.directory
+      || process.env.ORDER_CACHE_DIR
+      || path.join(__dirname, '..', '..', 'data', 'order-cache');
+
+    // storeId -> { watermark, syncedAt, orders: Map<id, order> }
+    this.stores = new Map();
+
+    // storeId -> in-flight sync promise, shared by concurrent callers
+    this.syncing = new Map();
+
+    // storeId -> pending clear, which waits for the in-flight sync
+    this.clearing = new Map();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * Sync the cache for a store and return all cached orders
+   * Concurrent calls for the same store share a single sync
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Array>} All cached orders for the store
+   */
+  sync(wooClient) {
+    const { id: storeId } = wooClient.getStoreInfo();
+
+    // Don't join the sync a pending clear is waiting for; start a fresh one once the cache is gone
+    if (this.clearing.has(storeId)) {
+      return this.clearing.get(storeId).catch(() => {}).then(() => this.sync(wooClient));
+    }
+
+    if (!this.syncing.has(storeId)) {
+      const promise = this.syncStore(storeId, wooClient)
+        .finally(() => this.syncing.delete(storeId));
+      this.syncing.set(storeId, promise);
+    }
+
+    return this.syncing.get(storeId);
+  }
+
+  /**
+   * Fetch changed orders for a store and update its cache
+   * @param {string} storeId - Store ID
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Array>} All cached orders for the store
+   */
+  async syncStore(storeId, wooClient) {
+    const entry = await this.load(storeId);
+
+    const params = {
+      orderby: 'modified',
+      order: 'asc',
+      dates_are_gmt: true
+    };
+
+    if (entry.watermark) {
+      params.modified_after = this.toApiDate(new Date(Date.parse(entry.watermark) - WATERMARK_OVERLAP_MS));
+      logger.debug(`Incremental order sync for store ${storeId} since ${entry.watermark}`);
+    } else {
+      logger.info(`No order cache for store ${storeId}, performing full order sync`);
+    }
+
+    const changed = await wooClient.getAllOrders(params);
+    const trashed = entry.watermark
+      ? await wooClient.getAllOrders({ ...params, status: 'trash' })
+      : [];
+    const refunds = await this.fetchRefunds(entry, changed, wooClient);
+
+    changed.forEach(order => {
+      entry.orders.set(order.id, { ...this.pick(order), refunds: refunds.get(order.id) ?? null });
+      entry.watermark = this.maxDate(entry.watermark, order.date_modified_gmt);
+    });
+
+    // Fill in the refunds retried for unchanged orders
+    let refetched = 0;
+    entry.orders.forEach(order => {
+      if (order.refunds === null && refunds.has(order.id)) {
+        order.refunds = refunds.get(order.id);
+        refetched++;
+      }
+    });
+
+    trashed.forEach(order => {
+      entry.orders.delete(order.id);
+      entry.watermark = this.maxDate(entry.watermark, order.date_modified_gmt);
+    });
+
+    entry.syncedAt = new Date().toISOString();
+
+    if (changed.length > 0 || trashed.length > 0 || refetched > 0) {
+      await this.save(storeId, entry);
+    }
+
+    logger.info(`Order cache synced for store ${storeId}: ${changed.length} updated, ${trashed.length} removed, ${entry.orders.size} cached`);
+    return Array.from(entry.orders.values());
+  }
+
+  /**
+   * Get dated refunds for changed orders and for cached orders whose refunds are still unfetched
+   * Refunds are only re-fetched when an order's refund IDs differ from the cached ones. Orders whose
+   * refunds could not be fetched are missing from the result, so they are cached with refunds: null
+   * and retried on the next sync instead of failing this one
+   * @param {Object} entry - Cache entry
+   * @param {Array} orders - Changed orders
+   * @param {WooCommerceClient} wooClient - WooCommerce client instance
+   * @returns {Promise<Map>} Order ID -> trimmed refunds
+   */
+  async fetchRefunds(entry, orders, wooClient) {
+    const refunds = new Map();
+    const changedIds = new Set(orders.map(order => order.id));
+    const missing = Array.from(entry.orders.values())
+      .filter(order => order.refunds === null && !changedIds.has(order.id))
+      .map(order => order.id);
+
+    orders.forEach(order => {
+      const refundIds = (order.refunds || []).map(refund => refund.id).sort().join(',');
+      const cached = entry.orders.get(order.id)?.refunds || [];
+
+      if (refundIds === '') {
+        refunds.set(order.id, []);
+      } else if (refundIds === cached.map(refund => refund.id).sort().join(',')) {
+        refunds.set(order.id, cached);
+      } else {
+        missing.push(order.id);
+      }
+    });
+
+    if (missing.length > 0) {
+      const { id: storeId } = wooClient.getStoreInfo();
+      logger.debug(`Fetching refunds of ${missing.length} orders for store ${storeId}`);
+      const fetched = await wooClient.getRefundsByOrder(missing);
+
+      fetched.forEach((orderRefunds, orderId) => {
+        refunds.set(orderId, orderRefunds.map(refund => Object.fromEntries(
+          REFUND_FIELDS.map(field => [field, refund[field]])
+        )));
+      });
+
+      if (fetched.size < missing.length) {
+        logger.warn(`Could not fetch refunds of ${missing.length - fetched.size} orders for store ${storeId}, retrying them on the next sync`);
+      }
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Get cached orders for a store without syncing
+   * @param {string} storeId - Store ID
+   * @returns {Promise<Array>} Cached orders
+   */
+  async getOrders(storeId) {
+    const entry = await this.load(storeId);
+    return Array.from(entry.orders.values());
+  }
+
+  /**
+   * Drop the cache for a store (memory and disk)
+   * Waits for a sync in progress, which would otherwise save the old orders again when it finishes
+   * @param {string} storeId - Store ID
+   * @returns {Promise<void>}
+   */
+  clear(storeId) {
+    if (!this.clearing.has(storeId)) {
+      const promise = this.clearStore(storeId)
+        .finally(() => this.clearing.delete(storeId));
+      this.clearing.set(storeId, promise);
+    }
+
+    return this.clearing.get(storeId);
+  }
+
+  /**
+   * Remove a store's cache once its in-flight sync has settled
+   * @param {string} storeId - Store ID
+   */
+  async clearStore(storeId) {
+    await this.syncing.get(storeId)?.catch(() => {});
+
+    this.stores.delete(storeId);
+
+    try {
+      await fs.promises.unlink(this.getFilePath(storeId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    logger.info(`Order cache cleared for store ${storeId}`);
+  }
+
+  /**
+   * Load a store's cache from memory or disk
+   * @param {string} storeId - Store ID
+   * @returns {Promise<Object>} Cache entry
+   */
+  async load(storeId) {
+    if (this.stores.has(storeId)) {
+      return this.stores.get(storeId);
+    }
+
+    const entry = { watermark: null, syncedAt: null, orders: new Map() };
+
+    try {
+      const raw = await fs.promises.readFile(this.getFilePath(storeId), 'utf8');
+      const data = JSON.parse(raw);
+
+      if (data.version === CACHE_VERSION) {
+        entry.watermark = data.watermark || null;
+        entry.syncedAt = data.syncedAt || null;
+        (data.orders || []).forEach(order => entry.orders.set(order.id, order));
+        logger.info(`Loaded ${entry.orders.size} cached orders for store ${storeId}`);
+      } else {
+        logger.warn(`Order cache for store ${storeId} has version ${data.version}, rebuilding`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read order cache for store ${storeId}, rebuilding:`, error.message);
+      }
+    }
+
+    this.stores.set(storeId, entry);
+    return entry;
+  }
+
+  /**
+   * Persist a store's cache to disk atomically
+   * @param {string} storeId - Store ID
+   * @param {Object} entry - Cache entry
+   */
+  async save(storeId, entry) {
+    const filePath = this.getFilePath(storeId);
+    const tmpPath = `${filePath}.tmp`;
+
+    const data = {
+      version: CACHE_VERSION,
+      storeId,
+      watermark: entry.watermark,
+      syncedAt: entry.syncedAt,
+      orders: Array.from(entry.orders.values())
+    };
+
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Keep only the fields the collectors need
+   * @param {Object} order - Raw WooCommerce order
+   * @returns {Object} Trimmed order
+   */
+  pick(order) {
+    const trimmed = {};
+    ORDER_FIELDS.forEach(field => {
+      if (order[field] !== undefined) {
+        trimmed[field] = order[field];
+      }
+    });
+
+    Object.entries(NESTED_FIELDS).forEach(([field, itemFields]) => {
+      trimmed[field] = (order[field] || []).map(item => {
+        const trimmedItem = {};
+        itemFields.forEach(itemField => {
+          trimmedItem[itemField] = item[itemField];
+        });
+        return trimmedItem;
+      });
+    });
+
+    Object.entries(ADDRESS_FIELDS).forEach(([field, addressFields]) => {
+      trimmed[field] = Object.fromEntries(addressFields.map(addressField => [addressField, order[field]?.[addressField]]));
+    });
+
+    return trimmed;
+  }
+
+  /**
+   * Return the later of two GMT date strings
+   * @param {string|null} current - Current watermark
+   * @param {string|null} candidate - Candidate date (WooCommerce GMT format, no zone suffix)
+   * @returns {string|null} Later date as ISO string
+   */
+  maxDate(current, candidate) {
+    if (!candidate) {
+      return current;
+    }
+
+    const candidateTime = Date.parse(candidate.endsWith('Z') ? candidate : `${candidate}Z`);
+    if (Number.isNaN(candidateTime)) {
+      return current;
+    }
+
+    if (!current || candidateTime > Date.parse(current)) {
+      return new Date(candidateTime).toISOString();
+    }
+
+    return current;
+  }
+
+  /**
+   * Format a date the way the WooCommerce REST API expects (ISO8601 without zone)
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  toApiDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, '');
+  }
+
+  /**
+   * Get the cache file path for a store
+   * @param {string} storeId - Store ID
+   * @returns {string} File path
+   */
+  getFilePath(storeId) {
+    return path.join(this.directory, `${storeId}.json`);
+  }
+}
+
+export default OrderCache;
@@ -0,0 +1,99 @@
+import logger from '../utils/logger.js';
+import { registerSecret } from '../utils/redact.js';
+import FileSecretProvider from './file-secret-provider.js';
+import VaultSecretProvider from './vault-secret-provider.js';
+
+// "<provider>:<reference>", e.g. "file:/run/secrets/store_secret" or "vault:secret/data/woo/eu#consumer_secret"
+const SECRET_REFERENCE_PATTERN = /^([a-z][a-z0-9-]*):(.+)$/;
+
+// Store settings that may hold secret references
+const SECRET_FIELDS = ['consumerKey', 'consumerSecret'];
+
+/**
+ * Check whether a setting is a secret reference rather than a literal value
+ * WooCommerce keys never contain a colon, so any "<provider>:" prefix is treated as a reference
+ * @param {string} value - Setting value
+ * @returns {boolean} True if the value is a reference
+ */
+export function isSecretReference(value) {
+  return typeof value === 'string' && SECRET_REFERENCE_PATTERN.test(value);
+}
+
+/**
+ * Resolves store credentials through pluggable secret providers
+ * A provider is any object with an async getSecret(reference) method returning the secret string
+ */
+class SecretManager {
+  constructor() {
+    // provider name -> provider
+    this.providers = new Map();
+
+    this.register('file', new FileSecretProvider());
+
+    if (process.env.VAULT_ADDR) {
+      this.register('vault', new VaultSecretProvider());
+    }
+  }
+
+  /**
+   * Register a secret provider
+   * @param {string} name - Provider name used as the reference prefix
+   * @param {Object} provider - Object with an async getSecret(reference) method
+   */
+  register(name, provider) {
+    if (typeof provider?.getSecret !== 'function') {
+      throw new Error(`Secret provider ${name} must implement getSecret(reference)`);
+    }
+
+    this.providers.set(name, provider);
+    logger.debug(`Secret provider registered: ${name}`);
+  }
+
+  /**
+   * Resolve a setting that may be a secret reference
+   * @param {string} value - Literal value or "<provider>:<reference>"
+   * @returns {Promise<string>} Secret value
+   */
+  async resolve(value) {
+    if (!isSecretReference(value)) {
+      registerSecret(value);
+      return value;
+    }
+
+    const [, name, reference] = value.match(SECRET_REFERENCE_PATTERN);
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw new Error(`Unknown secret provider "${name}"${name === 'vault' ? ' (set VAULT_ADDR to enable it)' : ''}`);
+    }
+
+    const secret = await provider.getSecret(reference);
+    if (typeof secret !== 'string' || secret === '') {
+      throw new Error(`Secret provider ${name} returned no value for ${reference}`);
+    }
+
+    registerSecret(secret);
+    return secret;
+  }
+
+  /**
+   * Resolve a store's credentials
+   * @param {Object} storeConf - Store configuration
+   * @returns {Promise<Object>} Store configuration with resolved credentials
+   */
+  async resolveStore(storeConf) {
+    const resolved = { ...storeConf };
+
+    for (const field of SECRET_FIELDS) {
+      try {
+        resolved[field] = await this.resolve(storeConf[field]);
+      } catch (error) {
+        throw new Error(`Could not resolve ${field} for store ${storeConf.id}: ${error.message}`);
+      }
+    }
+
+    return resolved;
+  }
+}
+
+export default SecretManager;
@@ -0,0 +1,30 @@
+/**
+ * Exchange rate provider with fixed rates, from EXCHANGE_RATES ("EUR=0.92,GBP=0.79") or passed in directly
+ * Rates are units of each currency per unit of the base currency, which defaults to the reporting currency
+ */
+class StaticRateProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.base - Base currency
+   * @param {Object} options.rates - Currency -> rate (defaults to EXCHANGE_RATES)
+   */
+  constructor(options = {}) {
+    this.base = options.base || process.env.REPORTING_CURRENCY;
+    this.rates = options.rates || Object.fromEntries(
+      (process.env.EXCHANGE_RATES || '')
+        .split(',')
+        .map(pair => pair.split('=').map(part => part.trim()))
+        .filter(([currency, rate]) => currency && rate)
+    );
+  }
+
+  /**
+   * Get the configured rates
+   * @returns {Promise<Object>} { base, rates }
+   */
+  async getRates() {
+    return { base: this.base, rates: this.rates };
+  }
+}
+
+export default StaticRateProvider;
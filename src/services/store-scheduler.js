@@ -0,0 +1,223 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Per-store collection scheduler
+ * Each store runs on its own interval with jitter, and runs for the same store never overlap
+ * (not even across removing and re-adding a store while it is being collected)
+ */
+class StoreScheduler {
+  /**
+   * @param {Function} task - Async function called with a store ID to collect its metrics
+   * @param {Object} options - Scheduler options
+   * @param {number} options.jitter - Random jitter as a fraction of the interval (0 - 0.5)
+   */
+  constructor(task, options = {}) {
+    this.task = task;
+
+    const jitter = options.jitter ?? parseFloat(process.env.SCRAPE_JITTER);
+    this.jitter = Number.isFinite(jitter) ? Math.min(Math.max(jitter, 0), 0.5) : 0.1;
+
+    // storeId -> job state
+    this.jobs = new Map();
+    this.running = false;
+
+    // storeId -> run still in progress for a removed job, inherited if the store is added again
+    this.orphanedRuns = new Map();
+  }
+
+  /**
+   * Register a store with its own collection interval
+   * Once the scheduler is running, the first collection starts within the jitter window
+   * @param {string} storeId - Store ID
+   * @param {number} intervalMs - Collection interval in milliseconds
+   */
+  addStore(storeId, intervalMs) {
+    if (this.jobs.has(storeId)) {
+      this.removeStore(storeId);
+    }
+
+    this.jobs.set(storeId, {
+      storeId,
+      intervalMs,
+      timer: null,
+      inFlight: this.orphanedRuns.get(storeId) || null,
+      lastRunAt: null,
+      lastSuccessAt: null,
+      lastDurationMs: null,
+      lastError: null,
+      nextRunAt: null
+    });
+
+    if (this.running) {
+      this.scheduleNext(storeId);
+    }
+
+    logger.info(`Store ${storeId} scheduled every ${intervalMs / 1000}s (±${Math.round(this.jitter * 100)}% jitter)`);
+  }
+
+  /**
+   * Remove a store from the scheduler
+   * @param {string} storeId - Store ID
+   */
+  removeStore(storeId) {
+    const job = this.jobs.get(storeId);
+    if (!job) {
+      return;
+    }
+
+    clearTimeout(job.timer);
+    this.jobs.delete(storeId);
+
+    if (job.inFlight) {
+      this.orphanedRuns.set(storeId, job.inFlight);
+    }
+  }
+
+  /**
+   * Start scheduling all registered stores
+   */
+  start() {
+    this.running = true;
+    this.jobs.forEach((job, storeId) => this.scheduleNext(storeId));
+  }
+
+  /**
+   * Stop all timers (in-flight runs are allowed to finish)
+   */
+  stop() {
+    this.running = false;
+    this.jobs.forEach(job => {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    });
+  }
+
+  /**
+   * Run a store's collection now
+   * If a run for the store is already in progress, the in-flight run is returned instead of starting another
+   * @param {string} storeId - Store ID
+   * @returns {Promise<*>} Result of the collection task
+   */
+  run(storeId) {
+    const job = this.jobs.get(storeId);
+    if (!job) {
+      return this.task(storeId);
+    }
+
+    if (job.inFlight) {
+      logger.debug(`Collection already running for store ${storeId}, joining in-flight run`);
+      return job.inFlight;
+    }
+
+    const startTime = Date.now();
+    job.lastRunAt = new Date(startTime).toISOString();
+
+    const inFlight = (async () => {
+      try {
+        const result = await this.task(storeId);
+        job.lastSuccessAt = new Date().toISOString();
+        job.lastError = null;
+        return result;
+      } catch (error) {
+        job.lastError = error.message;
+        throw error;
+      } finally {
+        job.lastDurationMs = Date.now() - startTime;
+        job.inFlight = null;
+
+        // The store may have been removed, or removed and added again, while this run was in progress
+        const current = this.jobs.get(storeId);
+        if (current?.inFlight === inFlight) {
+          current.inFlight = null;
+        }
+        if (this.orphanedRuns.get(storeId) === inFlight) {
+          this.orphanedRuns.delete(storeId);
+        }
+      }
+    })();
+
+    job.inFlight = inFlight;
+    return inFlight;
+  }
+
+  /**
+   * Schedule the next run for a store
+   * @param {string} storeId - Store ID
+   */
+  scheduleNext(storeId) {
+    const job = this.jobs.get(storeId);
+    if (!job || !this.running) {
+      return;
+    }
+
+    clearTimeout(job.timer);
+
+    let delay;
+    if (job.lastRunAt) {
+      // Measure the interval from the start of the last run so slow scrapes don't drift the cadence
+      const base = Date.parse(job.lastRunAt) + job.intervalMs;
+      const jitterMs = (Math.random() * 2 - 1) * this.jitter * job.intervalMs;
+      delay = Math.max(base + jitterMs - Date.now(), 1000);
+    } else {
+      // Stagger first runs over the jitter window so stores aren't all hit at the same moment
+      delay = Math.random() * this.jitter * job.intervalMs;
+    }
+
+    job.nextRunAt = new Date(Date.now() + delay).toISOString();
+    job.timer = setTimeout(() => this.tick(storeId), delay);
+  }
+
+  /**
+   * Timer callback for a store
+   * @param {string} storeId - Store ID
+   */
+  async tick(storeId) {
+    const job = this.jobs.get(storeId);
+    if (!job) {
+      return;
+    }
+
+    job.timer = null;
+
+    if (job.inFlight) {
+      logger.warn(`Skipping scheduled collection for store ${storeId}: previous run still in progress`);
+      await job.inFlight.catch(() => {});
+    } else {
+      try {
+        await this.run(storeId);
+      } catch (error) {
+        logger.error(`Scheduled metrics collection failed for store ${storeId}:`, error.message);
+      }
+    }
+
+    // The store may have been removed or re-added while running
+    if (this.jobs.get(storeId) === job) {
+      this.scheduleNext(storeId);
+    }
+  }
+
+  /**
+   * Get schedule state for a store
+   * @param {string} storeId - Store ID
+   * @returns {Object|null} Schedule state or null if not scheduled
+   */
+  getStatus(storeId) {
+    const job = this.jobs.get(storeId);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      interval: job.intervalMs,
+      running: Boolean(job.inFlight),
+      lastCollection: job.lastRunAt,
+      lastSuccess: job.lastSuccessAt,
+      lastDurationMs: job.lastDurationMs,
+      lastError: job.lastError,
+      nextCollection: job.nextRunAt
+    };
+  }
+}
+
+export default StoreScheduler;
@@ -0,0 +1,68 @@
+/**
+ * Staging snapshot of one store's metric values for a single collection
+ * Collectors write into their own section; nothing touches the registry until
+ * MetricsCollector publishes the snapshot in one synchronous step
+ */
+class StoreSnapshot {
+  /**
+   * @param {string} storeId - Store ID
+   */
+  constructor(storeId) {
+    this.storeId = storeId;
+    this.createdAt = Date.now();
+
+    // scope -> gauge -> Map<labelKey, { labels, value }>
+    this.sections = new Map();
+  }
+
+  /**
+   * Get the writer for a collector's section
+   * @param {string} scope - Collector that owns the section (e.g. 'orders')
+   * @returns {Object} Section writer with a set(gauge, labels, value) method
+   */
+  section(scope) {
+    if (!this.sections.has(scope)) {
+      this.sections.set(scope, new Map());
+    }
+
+    const series = this.sections.get(scope);
+
+    return {
+      set: (gauge, labels, value) => {
+        if (!series.has(gauge)) {
+          series.set(gauge, new Map());
+        }
+
+        series.get(gauge).set(StoreSnapshot.labelKey(labels), { labels, value });
+      }
+    };
+  }
+
+  /**
+   * Drop a section so the previously published values for that collector are kept
+   * @param {string} scope - Collector scope
+   */
+  discard(scope) {
+    this.sections.delete(scope);
+  }
+
+  /**
+   * Publish a section without values, removing everything previously published for it
+   * Used for optional sections a store no longer produces (e.g. a collector that was turned off)
+   * @param {string} scope - Section scope
+   */
+  clear(scope) {
+    this.sections.set(scope, new Map());
+  }
+
+  /**
+   * Build a stable key for a label set
+   * @param {Object} labels - Label set
+   * @returns {string} Key
+   */
+  static labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+  }
+}
+
+export default StoreSnapshot;
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import { registerSecret } from '../utils/redact.js';
+
+/**
+ * Secret provider for HashiCorp Vault (or any server implementing Vault's KV HTTP API)
+ * References are "<path>#<key>", e.g. "secret/data/woometrics/eu#consumer_secret" for KV v2
+ * Configured through VAULT_ADDR, VAULT_TOKEN (or VAULT_TOKEN_FILE) and VAULT_NAMESPACE
+ */
+class VaultSecretProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.address - Vault address
+   * @param {string} options.token - Vault token
+   * @param {string} options.namespace - Vault Enterprise namespace
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    this.address = (options.address || process.env.VAULT_ADDR || '').replace(/\/+$/, '');
+    this.namespace = options.namespace || process.env.VAULT_NAMESPACE || null;
+    this.timeout = options.timeout || 10000;
+    this.token = options.token || process.env.VAULT_TOKEN
+      || (process.env.VAULT_TOKEN_FILE ? fs.readFileSync(process.env.VAULT_TOKEN_FILE, 'utf8').trim() : null);
+
+    registerSecret(this.token);
+  }
+
+  /**
+   * Read a key from a Vault secret
+   * @param {string} reference - "<path>#<key>"
+   * @returns {Promise<string>} Secret value
+   */
+  async getSecret(reference) {
+    const [secretPath, key] = reference.split('#');
+    if (!key) {
+      throw new Error(`Vault reference ${reference} must name a key (<path>#<key>)`);
+    }
+
+    const headers = {};
+    if (this.token) {
+      headers['X-Vault-Token'] = this.token;
+    }
+    if (this.namespace) {
+      headers['X-Vault-Namespace'] = this.namespace;
+    }
+
+    const response = await fetch(`${this.address}/v1/${secretPath.replace(/^\/+/, '')}`, {
+      headers,
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Vault returned HTTP ${response.status} for ${secretPath}`);
+    }
+
+    const body = await response.json();
+
+    // KV v2 nests the secret under data.data, KV v1 returns it under data
+    const data = body?.data?.data ?? body?.data;
+    const value = data?.[key];
+
+    if (value === undefined || value === null) {
+      throw new Error(`Key ${key} not found in Vault secret ${secretPath}`);
+    }
+
+    return String(value);
+  }
+}
+
+export default VaultSecretProvider;
@@ -1,25 +1,94 @@
 import WooCommerceRestApiModule from '@woocommerce/woocommerce-rest-api';
 import logger from '../utils/logger.js';
+import CircuitBreaker, { BREAKER_STATES } from './circuit-breaker.js';
+import { isValidTimeZone, offsetFromHours } from '../utils/time-windows.js';
 
 // Handle ESM import for WooCommerce API - it has nested default exports
 const WooCommerceRestApi = WooCommerceRestApiModule.default?.default || WooCommerceRestApiModule.default || WooCommerceRestApiModule;
 
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Orders whose refunds are fetched in parallel
+const REFUND_CONCURRENCY = 4;
+
+// Safety limit for customer walks (100 per page)
+const CUSTOMER_MAX_PAGES = 1000;
+
+// Products looked up by ID per request (the API's per_page maximum)
+const PRODUCT_LOOKUP_BATCH = 100;
+
+/**
+ * Run an async function over items with a bounded number of calls in flight
+ * Stops starting new calls after the first failure and rejects with that error
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index]);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
 /**
  * WooCommerce API Client for fetching store data
  */
 class WooCommerceClient {
-  constructor(storeConfig) {
+  /**
+   * @param {Object} storeConfig - Store configuration
+   * @param {Object} options - Client options
+   * @param {MetricsCollector} options.metrics - Collector used to record retries and breaker state
+   */
+  constructor(storeConfig, options = {}) {
     this.storeConfig = storeConfig;
     this.storeId = storeConfig.id;
     this.storeName = storeConfig.name;
+    this.metrics = options.metrics || null;
+    this.timeZone = storeConfig.timezone || null;
+    this.timeZoneDetection = null;
+
+    // Endpoints whose last getAll() stopped at the page limit
+    this.truncatedEndpoints = new Set();
+
+    // Retry settings
+    this.maxRetries = storeConfig.maxRetries ?? 3;
+    this.retryBaseDelay = storeConfig.retryBaseDelay || 1000;
+    this.retryMaxDelay = storeConfig.retryMaxDelay || 30000;
+
+    // Circuit breaker so a dead store stops being hammered
+    this.circuitBreaker = new CircuitBreaker({
+      name: `store ${this.storeId}`,
+      threshold: storeConfig.circuitBreakerThreshold,
+      resetTimeout: storeConfig.circuitBreakerResetTimeout,
+      onStateChange: (state) => this.metrics?.setCircuitBreakerState(this.getStoreInfo(), state)
+    });
+    this.metrics?.setCircuitBreakerState(this.getStoreInfo(), this.circuitBreaker.state);
     
     // Initialize WooCommerce REST API client
+    // Over HTTPS credentials go in the query string or an Authorization header; plain HTTP always uses OAuth 1.0a
     this.api = new WooCommerceRestApi({
       url: storeConfig.url,
       consumerKey: storeConfig.consumerKey,
       consumerSecret: storeConfig.consumerSecret,
       version: 'wc/v3',
-      queryStringAuth: true,
+      queryStringAuth: storeConfig.authMethod !== 'basic',
       timeout: storeConfig.timeout || 30000
     });
 
@@ -27,11 +96,117 @@ class WooCommerceClient {
   }
 
   /**
-   * Get orders with optional parameters
-   * @param {Object} params - Query parameters for orders
-   * @returns {Promise<Array>} Array of orders
+   * Send a GET request with retries, exponential backoff and the store's circuit breaker
+   * @param {string} endpoint - API endpoint (e.g. 'orders')
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Request options
+   * @param {number} options.retries - Override the number of retries
+   * @param {boolean} options.ignoreBreaker - Send even if the breaker is open (used for connection tests)
+   * @param {Function} options.send - Send the request another way than through the WooCommerce API client;
+   * must resolve to a response with data and reject with Axios-style errors (error.response.status)
+   * @returns {Promise<Object>} Axios response
    */
-  async getOrders(params = {}) {
+  async request(endpoint, params = {}, options = {}) {
+    const maxRetries = options.retries ?? this.maxRetries;
+    const endpointLabel = this.getEndpointLabel(endpoint);
+
+    if (!options.ignoreBreaker && !this.circuitBreaker.canRequest()) {
+      const retryIn = Math.ceil(this.circuitBreaker.getRemainingOpenTime() / 1000);
+      const error = new Error(this.circuitBreaker.state === BREAKER_STATES.HALF_OPEN
+        ? `Circuit breaker half-open for store ${this.storeId}, waiting for the probe request`
+        : `Circuit breaker open for store ${this.storeId}, retrying in ${retryIn}s`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await (options.send ? options.send() : this.api.get(endpoint, params));
+        this.circuitBreaker.recordSuccess();
+        return response;
+
+      } catch (error) {
+        const reason = this.getRetryReason(error);
+
+        // Client errors (401, 404, ...) are not a sign of an unhealthy store
+        if (!reason) {
+          this.circuitBreaker.releaseProbe();
+          throw error;
+        }
+
+        if (attempt >= maxRetries) {
+          this.circuitBreaker.recordFailure();
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        logger.warn(`Request to ${endpointLabel} failed for store ${this.storeId} (${reason}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        this.metrics?.recordApiRetry(this.getStoreInfo(), endpointLabel, reason);
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Classify an error as retryable
+   * @param {Error} error - Request error
+   * @returns {string|null} Retry reason or null if the error should not be retried
+   */
+  getRetryReason(error) {
+    const status = error.response?.status;
+
+    if (status === 429) {
+      return 'rate_limited';
+    }
+    if (status >= 500) {
+      return 'server_error';
+    }
+    if (!error.response && (RETRYABLE_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message))) {
+      return error.code === 'ECONNABORTED' || /timeout/i.test(error.message) ? 'timeout' : 'network_error';
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute the backoff delay for a retry, honoring Retry-After
+   * @param {Error} error - Request error
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(delay) && delay >= 0) {
+        return Math.min(delay, this.retryMaxDelay);
+      }
+    }
+
+    // Exponential backoff with full jitter
+    const backoff = Math.min(this.retryBaseDelay * 2 ** attempt, this.retryMaxDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Normalize an endpoint for use as a metric label (IDs are replaced to bound cardinality)
+   * @param {string} endpoint - API endpoint
+   * @returns {string} Endpoint label
+   */
+  getEndpointLabel(endpoint) {
+    return endpoint.replace(/\/\d+(?=\/|$)/g, '/:id');
+  }
+
+  /**
+   * Get a single page from a collection endpoint, including WooCommerce pagination totals
+   * @param {string} endpoint - API endpoint (e.g. 'orders')
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} { items, total, totalPages } (totals are null if the headers are missing)
+   */
+  async getPage(endpoint, params = {}) {
     try {
       const defaultParams = {
         per_page: 100,
@@ -39,16 +214,21 @@ class WooCommerceClient {
         ...params
       };
 
-      logger.debug(`Fetching orders for store ${this.storeId}`, { params: defaultParams });
+      logger.debug(`Fetching ${endpoint} for store ${this.storeId}`, { params: defaultParams });
       
-      const response = await this.api.get('orders', defaultParams);
-
+      const response = await this.request(endpoint, defaultParams);
+      const total = parseInt(response.headers?.['x-wp-total']);
+      const totalPages = parseInt(response.headers?.['x-wp-totalpages']);
       
-      logger.debug(`Retrieved ${response.data.length} orders for store ${this.storeId}`);
-      return response.data;
+      logger.debug(`Retrieved ${response.data.length} ${endpoint} for store ${this.storeId}`);
+      return {
+        items: response.data,
+        total: Number.isNaN(total) ? null : total,
+        totalPages: Number.isNaN(totalPages) ? null : totalPages
+      };
       
     } catch (error) {
-      logger.error(`Error fetching orders for store ${this.storeId}:`, {
+      logger.error(`Error fetching ${endpoint} for store ${this.storeId}:`, {
         error: error.message,
         status: error.response?.status,
         statusText: error.response?.statusText
@@ -58,71 +238,147 @@ class WooCommerceClient {
   }
 
   /**
-   * Get all orders with pagination
+   * Get every record from a collection endpoint with pagination
+   * @param {string} endpoint - API endpoint (e.g. 'orders')
    * @param {Object} params - Query parameters
-   * @returns {Promise<Array>} All orders
+   * @param {Object} options - Pagination options
+   * @param {number} options.maxPages - Stop after this many pages
+   * @param {boolean} options.quiet - Log the total at debug instead of info level
+   * @returns {Promise<Array>} All records, or the records of the first maxPages pages (see isTruncated())
    */
-  async getAllOrders(params = {}) {
+  async getAll(endpoint, params = {}, options = {}) {
+    const maxPages = options.maxPages || 100;
+
     try {
-      const allOrders = [];
+      const allItems = [];
       let page = 1;
       let hasMore = true;
 
       while (hasMore) {
         const pageParams = { ...params, page, per_page: 100 };
-        const orders = await this.getOrders(pageParams);
+        const { items, totalPages } = await this.getPage(endpoint, pageParams);
         
-        if (orders.length === 0) {
+        if (items.length === 0) {
           hasMore = false;
         } else {
-          allOrders.push(...orders);
+          allItems.push(...items);
+
+          // Stop on the last page reported by X-WP-TotalPages instead of requesting an empty one
+          hasMore = totalPages === null || page < totalPages;
           page++;
           
           // Safety limit to prevent infinite loops
-          if (page > 100) {
-            logger.warn(`Reached page limit (100) for orders in store ${this.storeId}`);
+          if (hasMore && page > maxPages) {
+            const skipped = totalPages === null ? 'later pages' : `${totalPages - maxPages} of ${totalPages} pages`;
+            logger.warn(`Reached page limit (${maxPages}) for ${endpoint} in store ${this.storeId}, skipping ${skipped}`);
+            this.truncatedEndpoints.add(endpoint);
             break;
           }
         }
       }
 
-      logger.info(`Retrieved total of ${allOrders.length} orders for store ${this.storeId}`);
-      return allOrders;
+      if (!hasMore) {
+        this.truncatedEndpoints.delete(endpoint);
+      }
+
+      logger.log(options.quiet ? 'debug' : 'info', `Retrieved total of ${allItems.length} ${endpoint} for store ${this.storeId}`);
+      return allItems;
       
     } catch (error) {
-      logger.error(`Error fetching all orders for store ${this.storeId}:`, error.message);
+      logger.error(`Error fetching all ${endpoint} for store ${this.storeId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Check whether the last getAll() of an endpoint stopped at the page limit
+   * @param {string} endpoint - API endpoint (e.g. 'products')
+   * @returns {boolean} True if records beyond the page limit are missing
+   */
+  isTruncated(endpoint) {
+    return this.truncatedEndpoints.has(endpoint);
+  }
+
+  /**
+   * Count records matching a query using the X-WP-Total header of a single-record request
+   * @param {string} endpoint - API endpoint (e.g. 'orders')
+   * @param {Object} params - Query parameters
+   * @returns {Promise<number>} Total number of matching records
+   */
+  async getTotal(endpoint, params = {}) {
+    const { items, total } = await this.getPage(endpoint, { ...params, per_page: 1, page: 1 });
+
+    if (total === null) {
+      logger.warn(`X-WP-Total header missing for ${endpoint} in store ${this.storeId}, falling back to page count`);
+      return items.length;
+    }
+
+    return total;
+  }
+
+  /**
+   * Get orders with optional parameters
+   * @param {Object} params - Query parameters for orders
+   * @returns {Promise<Array>} Array of orders
+   */
+  async getOrders(params = {}) {
+    const { items } = await this.getPage('orders', params);
+    return items;
+  }
+
+  /**
+   * Get all orders with pagination
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} All orders
+   */
+  async getAllOrders(params = {}) {
+    return this.getAll('orders', params);
+  }
+
+  /**
+   * Count orders matching a query
+   * @param {Object} params - Query parameters (e.g. { status: 'processing' })
+   * @returns {Promise<number>} Number of orders
+   */
+  async getOrderCount(params = {}) {
+    return this.getTotal('orders', params);
+  }
+
+  /**
+   * Get the refunds of an order (the order's own refunds array has no dates)
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array>} Refunds
+   */
+  async getOrderRefunds(orderId) {
+    return this.getAll(`orders/${orderId}/refunds`, {}, { quiet: true });
+  }
+
+  /**
+   * Get the refunds of several orders, a few orders at a time
+   * Orders whose refunds could not be fetched are left out of the result
+   * @param {Array} orderIds - Order IDs
+   * @returns {Promise<Map>} Order ID -> refunds
+   */
+  async getRefundsByOrder(orderIds) {
+    const refunds = await mapWithConcurrency(orderIds, REFUND_CONCURRENCY, orderId => this.getOrderRefunds(orderId)
+      .catch(error => {
+        logger.debug(`Could not fetch refunds of order ${orderId} for store ${this.storeId}:`, error.message);
+        return null;
+      }));
+
+    return new Map(orderIds
+      .map((orderId, index) => [orderId, refunds[index]])
+      .filter(([, orderRefunds]) => orderRefunds !== null));
+  }
+
   /**
    * Get products with optional parameters
    * @param {Object} params - Query parameters for products  
    * @returns {Promise<Array>} Array of products
    */
   async getProducts(params = {}) {
-    try {
-      const defaultParams = {
-        per_page: 100,
-        page: 1,
-        ...params
-      };
-
-      logger.debug(`Fetching products for store ${this.storeId}`, { params: defaultParams });
-      
-      const response = await this.api.get('products', defaultParams);
-      
-      logger.debug(`Retrieved ${response.data.length} products for store ${this.storeId}`);
-      return response.data;
-      
-    } catch (error) {
-      logger.error(`Error fetching products for store ${this.storeId}:`, {
-        error: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText
-      });
-      throw error;
-    }
+    const { items } = await this.getPage('products', params);
+    return items;
   }
 
   /**
@@ -131,36 +387,59 @@ class WooCommerceClient {
    * @returns {Promise<Array>} All products
    */
   async getAllProducts(params = {}) {
-    try {
-      const allProducts = [];
-      let page = 1;
-      let hasMore = true;
+    return this.getAll('products', params);
+  }
 
-      while (hasMore) {
-        const pageParams = { ...params, page, per_page: 100 };
-        const products = await this.getProducts(pageParams);
-        
-        if (products.length === 0) {
-          hasMore = false;
-        } else {
-          allProducts.push(...products);
-          page++;
-          
-          // Safety limit to prevent infinite loops
-          if (page > 100) {
-            logger.warn(`Reached page limit (100) for products in store ${this.storeId}`);
-            break;
-          }
-        }
-      }
+  /**
+   * Get products by ID, a batch of IDs per request
+   * IDs of deleted products are missing from the result
+   * @param {Array} productIds - Product IDs
+   * @returns {Promise<Array>} Products
+   */
+  async getProductsById(productIds) {
+    const products = [];
 
-      logger.info(`Retrieved total of ${allProducts.length} products for store ${this.storeId}`);
-      return allProducts;
-      
-    } catch (error) {
-      logger.error(`Error fetching all products for store ${this.storeId}:`, error.message);
-      throw error;
+    for (let start = 0; start < productIds.length; start += PRODUCT_LOOKUP_BATCH) {
+      const batch = productIds.slice(start, start + PRODUCT_LOOKUP_BATCH);
+      const { items } = await this.getPage('products', { include: batch.join(','), per_page: PRODUCT_LOOKUP_BATCH });
+      products.push(...items);
     }
+
+    return products;
+  }
+
+  /**
+   * Get all variations of a variable product
+   * @param {number} productId - Parent product ID
+   * @returns {Promise<Array>} Variations
+   */
+  async getProductVariations(productId) {
+    // One call per variable product, so per-product totals stay at debug level
+    return this.getAll(`products/${productId}/variations`, {}, {
+      maxPages: this.storeConfig.variationMaxPages || 10,
+      quiet: true
+    });
+  }
+
+  /**
+   * Get the variations of several variable products, a few products at a time
+   * @param {Array} productIds - Parent product IDs
+   * @returns {Promise<Map>} Parent product ID -> variations
+   */
+  async getVariationsByProduct(productIds) {
+    const concurrency = this.storeConfig.variationConcurrency || 4;
+    const variations = await mapWithConcurrency(productIds, concurrency, productId => this.getProductVariations(productId));
+
+    return new Map(productIds.map((productId, index) => [productId, variations[index]]));
+  }
+
+  /**
+   * Count products matching a query
+   * @param {Object} params - Query parameters (e.g. { status: 'publish' })
+   * @returns {Promise<number>} Number of products
+   */
+  async getProductCount(params = {}) {
+    return this.getTotal('products', params);
   }
 
   /**
@@ -169,28 +448,55 @@ class WooCommerceClient {
    * @returns {Promise<Array>} Array of customers
    */
   async getCustomers(params = {}) {
-    try {
-      const defaultParams = {
-        per_page: 100,
-        page: 1,
-        ...params
-      };
+    const { items } = await this.getPage('customers', params);
+    return items;
+  }
 
-      logger.debug(`Fetching customers for store ${this.storeId}`, { params: defaultParams });
-      
-      const response = await this.api.get('customers', defaultParams);
-      
-      logger.debug(`Retrieved ${response.data.length} customers for store ${this.storeId}`);
-      return response.data;
-      
-    } catch (error) {
-      logger.error(`Error fetching customers for store ${this.storeId}:`, {
-        error: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText
+  /**
+   * Get customers of every role newest first, stopping at the first one the caller already knows
+   * @param {Function} isKnown - Called with each customer; true ends the walk (e.g. already cached or too old)
+   * @returns {Promise<Array>} Customers registered after the first known one, newest first
+   */
+  async getNewCustomers(isKnown) {
+    const customers = [];
+
+    for (let page = 1; page <= CUSTOMER_MAX_PAGES; page++) {
+      const { items, totalPages } = await this.getPage('customers', {
+        role: 'all',
+        orderby: 'registered_date',
+        order: 'desc',
+        page,
+        per_page: 100
       });
-      throw error;
+
+      const knownIndex = items.findIndex(isKnown);
+      customers.push(...(knownIndex === -1 ? items : items.slice(0, knownIndex)));
+
+      if (knownIndex !== -1 || items.length === 0 || (totalPages !== null && page >= totalPages)) {
+        logger.debug(`Retrieved ${customers.length} new customers for store ${this.storeId}`);
+        return customers;
+      }
     }
+
+    logger.warn(`Reached page limit (${CUSTOMER_MAX_PAGES}) for new customers in store ${this.storeId}, older registrations are missing`);
+    return customers;
+  }
+
+  /**
+   * Get every customer of any role, in ID order so pages stay stable while customers register
+   * @returns {Promise<Array>} All customers
+   */
+  async getAllCustomers() {
+    return this.getAll('customers', { role: 'all', orderby: 'id', order: 'asc' }, { maxPages: CUSTOMER_MAX_PAGES });
+  }
+
+  /**
+   * Count customers matching a query
+   * @param {Object} params - Query parameters
+   * @returns {Promise<number>} Number of customers
+   */
+  async getCustomerCount(params = {}) {
+    return this.getTotal('customers', { role: 'all', ...params });
   }
 
   /**
@@ -202,7 +508,7 @@ class WooCommerceClient {
     try {
       logger.debug(`Fetching order stats for store ${this.storeId}`, { params });
       
-      const response = await this.api.get('reports/sales', params);
+      const response = await this.request('reports/sales', params);
       
       logger.debug(`Retrieved order stats for store ${this.storeId}`, response.data);
       return response.data;
@@ -223,28 +529,17 @@ class WooCommerceClient {
    * @returns {Promise<Array>} Array of coupons
    */
   async getCoupons(params = {}) {
-    try {
-      const defaultParams = {
-        per_page: 100,
-        page: 1,
-        ...params
-      };
+    const { items } = await this.getPage('coupons', params);
+    return items;
+  }
 
-      logger.debug(`Fetching coupons for store ${this.storeId}`, { params: defaultParams });
-      
-      const response = await this.api.get('coupons', defaultParams);
-      
-      logger.debug(`Retrieved ${response.data.length} coupons for store ${this.storeId}`);
-      return response.data;
-      
-    } catch (error) {
-      logger.error(`Error fetching coupons for store ${this.storeId}:`, {
-        error: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText
-      });
-      throw error;
-    }
+  /**
+   * Get all coupons with pagination
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} All coupons
+   */
+  async getAllCoupons(params = {}) {
+    return this.getAll('coupons', params);
   }
 
   /**
@@ -255,8 +550,8 @@ class WooCommerceClient {
     try {
       logger.info(`Testing connection for store ${this.storeId}`);
       
-      // Try to fetch system status to test connection
-      await this.api.get('system_status');
+      // Try to fetch system status to test connection (a single probe, even if the breaker is open)
+      await this.request('system_status', {}, { retries: 0, ignoreBreaker: true });
       
       logger.info(`Connection test successful for store ${this.storeId}`);
       return true;
@@ -271,6 +566,89 @@ class WooCommerceClient {
     }
   }
 
+  /**
+   * Get the store's timezone, detecting it once if STORE{N}_TIMEZONE is not set
+   * Failed detection is not replaced by UTC: period metrics computed in the wrong timezone would be
+   * published as the store's local windows, so the collectors that need it fail instead
+   * @returns {Promise<string>} IANA timezone name or UTC offset (e.g. '+02:00')
+   * @throws {Error} If the timezone is not configured and could not be detected
+   */
+  async getTimezone() {
+    if (this.timeZone) {
+      return this.timeZone;
+    }
+
+    // Collectors running in parallel share a single detection request
+    if (!this.timeZoneDetection) {
+      this.timeZoneDetection = this.detectTimezone()
+        .finally(() => { this.timeZoneDetection = null; });
+    }
+
+    // A failed detection is not cached, so it is retried on the next collection
+    this.timeZone = await this.timeZoneDetection;
+    return this.timeZone;
+  }
+
+  /**
+   * Detect the store's timezone from the public WordPress REST index (timezone_string / gmt_offset)
+   * @returns {Promise<string>} Timezone
+   * @throws {Error} If the index could not be fetched or has no timezone
+   */
+  async detectTimezone() {
+    try {
+      // Sent through request() for the same retries and circuit breaker as API calls
+      const { data: index } = await this.request('wp-json', {}, { send: () => this.fetchSiteIndex() });
+
+      if (index.timezone_string && isValidTimeZone(index.timezone_string)) {
+        logger.info(`Detected timezone ${index.timezone_string} for store ${this.storeId}`);
+        return index.timezone_string;
+      }
+
+      const gmtOffset = parseFloat(index.gmt_offset);
+      if (Number.isFinite(gmtOffset)) {
+        const offset = offsetFromHours(gmtOffset);
+        logger.info(`Detected fixed UTC offset ${offset} for store ${this.storeId} (set STORE{N}_TIMEZONE for DST-aware periods)`);
+        return offset;
+      }
+
+      throw new Error('no timezone_string or gmt_offset in response');
+
+    } catch (error) {
+      logger.warn(`Could not detect timezone for store ${this.storeId}, skipping period metrics:`, error.message);
+      throw new Error(`Timezone detection failed for store ${this.storeId} (${error.message}); set STORE{N}_TIMEZONE to skip detection`);
+    }
+  }
+
+  /**
+   * Fetch the public WordPress REST index with the client's timeout
+   * @returns {Promise<Object>} { data } with the parsed index
+   * @throws {Error} With error.response.status for HTTP errors and error.code for network errors
+   */
+  async fetchSiteIndex() {
+    const baseUrl = this.storeConfig.url.replace(/\/wp-json.*$/, '').replace(/\/+$/, '');
+    let response;
+
+    try {
+      response = await fetch(`${baseUrl}/wp-json/`, {
+        signal: AbortSignal.timeout(this.storeConfig.timeout || 30000)
+      });
+    } catch (error) {
+      // fetch reports network errors as "fetch failed" with the system error code on the cause
+      if (!error.code && error.cause?.code) {
+        error.code = error.cause.code;
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.response = { status: response.status, headers: Object.fromEntries(response.headers) };
+      throw error;
+    }
+
+    return { data: await response.json() };
+  }
+
   /**
    * Get store info
    * @returns {Promise<Object>} Store information
@@ -282,9 +660,27 @@ class WooCommerceClient {
       url: this.storeConfig.url,
       currency: this.storeConfig.currency,
       enabled: this.storeConfig.enabled,
-      scrapeInterval: this.storeConfig.scrapeInterval
+      scrapeInterval: this.storeConfig.scrapeInterval,
+      salesReports: this.storeConfig.salesReports || false,
+      timezone: this.timeZone,
+      labels: this.storeConfig.labels || {},
+      tags: this.storeConfig.tags || [],
+      lowStockThreshold: this.storeConfig.lowStockThreshold ?? 10,
+      categoryLowStockThresholds: this.storeConfig.categoryLowStockThresholds || {},
+      stockTrackingTag: this.storeConfig.stockTrackingTag || null,
+      trackVariations: this.storeConfig.trackVariations ?? true,
+      orderSlaHours: this.storeConfig.orderSlaHours || {},
+      countryAddress: this.storeConfig.countryAddress || 'billing'
     };
   }
+
+  /**
+   * Get the circuit breaker state
+   * @returns {string} Breaker state (closed, half_open or open)
+   */
+  getCircuitBreakerState() {
+    return this.circuitBreaker.state;
+  }
 }
 
 export default WooCommerceClient;
\ No newline at end of file
@@ -2,6 +2,7 @@ import winston from 'winston';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { redact, redactValue } from './redact.js';
 
 // Get __dirname equivalent for ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -13,8 +14,27 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Redact secrets from the message, metadata and extra arguments of every log entry
+const redactSecrets = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    info[key] = redactValue(info[key]);
+  });
+
+  const splat = info[Symbol.for('splat')];
+  if (Array.isArray(splat)) {
+    info[Symbol.for('splat')] = splat.map(value => redactValue(value));
+  }
+
+  if (info.stack) {
+    info.stack = redact(info.stack);
+  }
+
+  return info;
+});
+
 // Define log format
 const logFormat = winston.format.combine(
+  redactSecrets(),
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
@@ -24,6 +44,7 @@ const logFormat = winston.format.combine(
 
 // Console format with colors
 const consoleFormat = winston.format.combine(
+  redactSecrets(),
   winston.format.colorize(),
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
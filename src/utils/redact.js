@@ -0,0 +1,80 @@
+/**
+ * Secret redaction for log lines and API responses
+ * Known secret values are registered at runtime; common credential patterns are redacted even when unregistered
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Shorter values would redact ordinary words
+const MIN_SECRET_LENGTH = 6;
+
+// Credential patterns: query string auth, WooCommerce keys, OAuth signatures and Authorization headers
+const SECRET_PATTERNS = [
+  [/((?:consumer_key|consumer_secret|oauth_signature)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/\b(c[ks]_)[a-f0-9]{16,}\b/gi, `$1${REDACTED}`],
+  [/\b((?:basic|bearer)\s+)[A-Za-z0-9._~+/=-]{8,}/gi, `$1${REDACTED}`]
+];
+
+// Registered secret values
+const secrets = new Set();
+
+/**
+ * Register a secret value so it is redacted wherever it appears
+ * @param {string} value - Secret value
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Redact secrets from a string
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text (non-strings are returned unchanged)
+ */
+export function redact(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  let result = text;
+
+  secrets.forEach(secret => {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  });
+
+  SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+    result = result.replace(pattern, replacement);
+  });
+
+  return result;
+}
+
+/**
+ * Redact secrets from every string in a value, recursing into arrays and plain objects
+ * @param {*} value - Value to redact
+ * @param {number} depth - Remaining recursion depth
+ * @returns {*} Redacted copy
+ */
+export function redactValue(value, depth = 4) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+
+  if (depth === 0 || value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth - 1));
+  }
+
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, depth - 1)]));
+}
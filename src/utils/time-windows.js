@@ -0,0 +1,153 @@
+/**
+ * Store-local calendar periods for revenue windows
+ * Timezones are IANA names (e.g. 'Europe/Berlin') or fixed UTC offsets (e.g. '+05:30')
+ */
+
+// Periods computed for every store, in export order
+export const PERIODS = ['today', 'yesterday', 'last_7_days', 'last_30_days', 'this_week', 'this_month', 'this_year'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+
+// Cached Intl formatters per timezone
+const formatters = new Map();
+
+/**
+ * Check whether a timezone is usable
+ * @param {string} timeZone - IANA name or UTC offset
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (OFFSET_PATTERN.test(timeZone)) {
+    return true;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert a WordPress gmt_offset (hours, may be fractional) to a '+HH:MM' offset
+ * @param {number} hours - Offset in hours
+ * @returns {string} UTC offset string
+ */
+export function offsetFromHours(hours) {
+  const sign = hours < 0 ? '-' : '+';
+  const totalMinutes = Math.round(Math.abs(hours) * 60);
+  const hh = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const mm = String(totalMinutes % 60).padStart(2, '0');
+  return `${sign}${hh}:${mm}`;
+}
+
+/**
+ * Get the calendar date of a timestamp in a timezone
+ * @param {number} timestamp - Timestamp in ms
+ * @param {string} timeZone - IANA name or UTC offset
+ * @returns {Object} { year, month, day, dayNumber, weekday } (weekday 0 = Sunday, dayNumber = days since epoch)
+ */
+export function getLocalDate(timestamp, timeZone = 'UTC') {
+  let year;
+  let month;
+  let day;
+
+  const offset = timeZone.match(OFFSET_PATTERN);
+  if (offset) {
+    const minutes = (parseInt(offset[2]) * 60 + parseInt(offset[3])) * (offset[1] === '-' ? -1 : 1);
+    const shifted = new Date(timestamp + minutes * 60 * 1000);
+    year = shifted.getUTCFullYear();
+    month = shifted.getUTCMonth() + 1;
+    day = shifted.getUTCDate();
+  } else {
+    if (!formatters.has(timeZone)) {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+      }));
+    }
+
+    const parts = {};
+    formatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    year = parseInt(parts.year);
+    month = parseInt(parts.month);
+    day = parseInt(parts.day);
+  }
+
+  const dayNumber = Date.UTC(year, month - 1, day) / DAY_MS;
+
+  return {
+    year,
+    month,
+    day,
+    dayNumber,
+    weekday: new Date(dayNumber * DAY_MS).getUTCDay()
+  };
+}
+
+/**
+ * Format a timestamp as a store-local YYYY-MM-DD date
+ * @param {number} timestamp - Timestamp in ms
+ * @param {string} timeZone - IANA name or UTC offset
+ * @returns {string} Local date
+ */
+export function formatLocalDate(timestamp, timeZone = 'UTC') {
+  const { year, month, day } = getLocalDate(timestamp, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Create a function that returns the periods a timestamp falls in, relative to now
+ * Weeks start on Monday
+ * @param {string} timeZone - IANA name or UTC offset
+ * @param {number} now - Reference time in ms
+ * @returns {Function} (timestamp) => Array of period names
+ */
+export function createPeriodMatcher(timeZone = 'UTC', now = Date.now()) {
+  const today = getLocalDate(now, timeZone);
+  const weekStart = today.dayNumber - ((today.weekday + 6) % 7);
+
+  return (timestamp) => {
+    if (timestamp === null || Number.isNaN(timestamp)) {
+      return [];
+    }
+
+    const date = getLocalDate(timestamp, timeZone);
+    const daysAgo = today.dayNumber - date.dayNumber;
+    const periods = [];
+
+    if (daysAgo < 0) {
+      return periods;
+    }
+
+    if (daysAgo === 0) {
+      periods.push('today');
+    }
+    if (daysAgo === 1) {
+      periods.push('yesterday');
+    }
+    if (daysAgo < 7) {
+      periods.push('last_7_days');
+    }
+    if (daysAgo < 30) {
+      periods.push('last_30_days');
+    }
+    if (date.dayNumber >= weekStart) {
+      periods.push('this_week');
+    }
+    if (date.year === today.year && date.month === today.month) {
+      periods.push('this_month');
+    }
+    if (date.year === today.year) {
+      periods.push('this_year');
+    }
+
+    return periods;
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach, jest } from '@jest/globals';
+import storeConfig from '../src/config/stores.config.js';
+import logger from '../src/utils/logger.js';
+
+let app;
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  ({ default: app } = await import('../src/app.js'));
+
+  server = await new Promise((resolve) => {
+    const listening = app.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * Send a raw JSON body
+ * @param {string} method - HTTP method
+ * @param {string} route - Request path
+ * @param {string} body - Request body, sent as is
+ * @returns {Promise<Response>} Response
+ */
+const send = (method, route, body) => fetch(`${baseUrl}${route}`, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body
+});
+
+describe('request body errors', () => {
+  test('rejects malformed JSON when adding a store with a 400', async () => {
+    const response = await send('POST', '/stores', '{"id": "shop",');
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: 'Request body is not valid JSON' });
+  });
+
+  test('rejects malformed JSON when changing a store with a 400', async () => {
+    const response = await send('PATCH', '/stores/shop', 'not json');
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: 'Request body is not valid JSON' });
+  });
+
+  test('keeps the status of other client errors', async () => {
+    const response = await send('POST', '/stores', JSON.stringify({ name: 'x'.repeat(200 * 1024) }));
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toMatchObject({ error: 'Invalid request', message: 'request entity too large' });
+  });
+});
+
+describe('initializeStores', () => {
+  const store = storeConfig.normalizeStore({
+    id: 'shop',
+    url: 'https://shop.example.com',
+    consumerKey: 'vault:woo/shop#key',
+    consumerSecret: 'vault:woo/shop#secret'
+  }, {}, 'file');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('skips a store disabled while its secrets were resolved', async () => {
+    jest.spyOn(storeConfig, 'validateStores').mockReturnValue([]);
+    jest.spyOn(storeConfig, 'getEnabledStores').mockReturnValue([store]);
+    jest.spyOn(storeConfig, 'getStoreById').mockReturnValue({ ...store, enabled: false });
+    jest.spyOn(app.secrets, 'resolveStore').mockResolvedValue(store);
+    const info = jest.spyOn(logger, 'info');
+    const error = jest.spyOn(logger, 'error');
+
+    await expect(app.initializeStores()).resolves.toBe(false);
+
+    expect(info).toHaveBeenCalledWith(expect.stringContaining('Store shop was removed or disabled while its secrets were resolved'));
+    expect(error).not.toHaveBeenCalled();
+    expect(app.storeClients.has('shop')).toBe(false);
+  });
+
+  test('logs why a store\'s secrets could not be resolved', async () => {
+    jest.spyOn(storeConfig, 'validateStores').mockReturnValue([]);
+    jest.spyOn(storeConfig, 'getEnabledStores').mockReturnValue([store]);
+    jest.spyOn(app.secrets, 'resolveStore').mockRejectedValue(new Error('Could not resolve consumerKey for store shop: permission denied'));
+    const error = jest.spyOn(logger, 'error');
+
+    await expect(app.initializeStores()).resolves.toBe(false);
+
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Failed to initialize store'), 'Could not resolve consumerKey for store shop: permission denied');
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, test, expect } from '@jest/globals';
+import storeConfig from '../../src/config/stores.config.js';
+
+const validStore = (fields = {}) => storeConfig.normalizeStore({
+  id: 'shop',
+  url: 'https://shop.example.com',
+  consumerKey: 'ck_test',
+  consumerSecret: 'cs_test',
+  ...fields
+}, {}, 'file');
+
+describe('normalizeStore', () => {
+  test('applies the defaults', () => {
+    const store = validStore();
+
+    expect(store).toMatchObject({
+      id: 'shop',
+      name: 'shop',
+      enabled: true,
+      scrapeInterval: 300000,
+      currency: 'USD',
+      authMethod: 'query',
+      timezone: null,
+      labels: {},
+      tags: [],
+      source: 'file'
+    });
+  });
+
+  test('merges file defaults, with store settings taking precedence', () => {
+    const store = storeConfig.normalizeStore(
+      { id: 'shop', currency: 'EUR', labels: { team: 'eu' } },
+      { currency: 'GBP', timeout: 10000, labels: { env: 'prod', team: 'global' }, tags: ['default'] },
+      'file'
+    );
+
+    expect(store.currency).toBe('EUR');
+    expect(store.timeout).toBe(10000);
+    expect(store.labels).toEqual({ env: 'prod', team: 'eu' });
+    expect(store.tags).toEqual(['default']);
+  });
+
+  test('converts env strings to numbers and booleans', () => {
+    const store = validStore({ enabled: 'FALSE', salesReports: 'true', scrapeInterval: '60000', maxRetries: 'many' });
+
+    expect(store.enabled).toBe(false);
+    expect(store.salesReports).toBe(true);
+    expect(store.scrapeInterval).toBe(60000);
+    expect(store.maxRetries).toBe(3);
+  });
+
+  test('turns credential files into secret references', () => {
+    const store = storeConfig.normalizeStore({
+      id: 'shop',
+      consumerKeyFile: '/run/secrets/ck',
+      consumerSecretFile: '/run/secrets/cs'
+    }, {}, 'env');
+
+    expect(store.consumerKey).toBe('file:/run/secrets/ck');
+    expect(store.consumerSecret).toBe('file:/run/secrets/cs');
+  });
+
+  test('stringifies label values and trims tags', () => {
+    const store = validStore({ labels: { tier: 1 }, tags: [' sale ', '', 'outlet'] });
+
+    expect(store.labels).toEqual({ tier: '1' });
+    expect(store.tags).toEqual(['sale', 'outlet']);
+  });
+});
+
+describe('parseKeyValueList', () => {
+  test('parses comma separated pairs and keeps "=" in values', () => {
+    expect(storeConfig.parseKeyValueList('env=prod, team = eu ,query=a=b,')).toEqual({
+      env: 'prod',
+      team: 'eu',
+      query: 'a=b'
+    });
+    expect(storeConfig.parseKeyValueList(undefined)).toEqual({});
+  });
+});
+
+describe('buildFileStores', () => {
+  test('rejects malformed store lists', () => {
+    expect(() => storeConfig.buildFileStores({ stores: { id: 'shop' } })).toThrow('"stores" must be a list');
+    expect(() => storeConfig.buildFileStores({ stores: ['shop'] })).toThrow('stores[0] must be an object');
+  });
+
+  test('builds file stores with the file defaults', () => {
+    const [store] = storeConfig.buildFileStores({ defaults: { currency: 'EUR' }, stores: [{ id: 'shop' }] });
+
+    expect(store).toMatchObject({ id: 'shop', currency: 'EUR', source: 'file' });
+  });
+});
+
+describe('diffStores', () => {
+  test('reports added, removed and updated stores by ID', () => {
+    const kept = validStore({ id: 'kept' });
+    const changed = validStore({ id: 'changed' });
+    const removed = validStore({ id: 'removed' });
+    const added = validStore({ id: 'added' });
+    const changedNext = validStore({ id: 'changed', scrapeInterval: 600000 });
+
+    const changes = storeConfig.diffStores([kept, changed, removed], [validStore({ id: 'kept' }), changedNext, added]);
+
+    expect(changes.added).toEqual([added]);
+    expect(changes.removed).toEqual([removed]);
+    expect(changes.updated).toEqual([{ previous: changed, store: changedNext }]);
+  });
+
+  test('reports nothing for identical lists', () => {
+    const stores = [validStore()];
+
+    expect(storeConfig.diffStores(stores, [validStore()])).toEqual({ added: [], removed: [], updated: [] });
+  });
+});
+
+describe('validateStores', () => {
+  test('accepts a complete store', () => {
+    expect(storeConfig.validateStores([validStore()])).toEqual([]);
+  });
+
+  test('requires a safe, unique ID', () => {
+    const errors = storeConfig.validateStores([
+      validStore({ id: '../shop' }),
+      validStore({ id: 'shop' }),
+      validStore({ id: 'shop' })
+    ]);
+
+    expect(errors).toEqual([
+      expect.stringContaining('ID is required'),
+      'Store shop: ID is used by more than one store'
+    ]);
+  });
+
+  test('requires the URL and credentials', () => {
+    const errors = storeConfig.validateStores([validStore({ url: 'shop.example.com', consumerKey: '', consumerSecret: '' })]);
+
+    expect(errors).toEqual([
+      'Store shop: Consumer Key is required',
+      'Store shop: Consumer Secret is required',
+      'Store shop: URL must start with http:// or https://'
+    ]);
+  });
+
+  test('checks limits, timezones, auth methods and label names', () => {
+    const errors = storeConfig.validateStores([validStore({
+      scrapeInterval: 1000,
+      timeout: 100,
+      timezone: 'Nowhere/City',
+      authMethod: 'oauth',
+      countryAddress: 'delivery',
+      labels: { 'bad-name': 'x' }
+    })]);
+
+    expect(errors).toHaveLength(6);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('Scrape interval must be at least'),
+      expect.stringContaining('Timeout must be at least'),
+      expect.stringContaining('Timezone must be an IANA name'),
+      expect.stringContaining('Auth method must be one of'),
+      expect.stringContaining('Country address must be one of'),
+      expect.stringContaining('Label name "bad-name"')
+    ]));
+  });
+
+  test('accepts UTC offsets as timezones', () => {
+    expect(storeConfig.validateStores([validStore({ timezone: '+05:30' })])).toEqual([]);
+  });
+});
+
+describe('low stock thresholds', () => {
+  test('defaults to a store-wide threshold without category overrides', () => {
+    const store = validStore();
+
+    expect(store.lowStockThreshold).toBe(10);
+    expect(store.categoryLowStockThresholds).toEqual({});
+  });
+
+  test('lowercases category keys and parses thresholds', () => {
+    const store = validStore({
+      lowStockThreshold: '5',
+      categoryLowStockThresholds: { Electronics: '3', 'home-garden': 20 }
+    });
+
+    expect(store.lowStockThreshold).toBe(5);
+    expect(store.categoryLowStockThresholds).toEqual({ electronics: 3, 'home-garden': 20 });
+  });
+
+  test('parses category thresholds from the env list format', () => {
+    const thresholds = storeConfig.parseKeyValueList('Electronics=3,books=0');
+    const store = validStore({ categoryLowStockThresholds: thresholds });
+
+    expect(store.categoryLowStockThresholds).toEqual({ electronics: 3, books: 0 });
+    expect(storeConfig.validateStores([store])).toEqual([]);
+  });
+
+  test('rejects negative and non-numeric thresholds', () => {
+    const errors = storeConfig.validateStores([validStore({
+      lowStockThreshold: -1,
+      categoryLowStockThresholds: { electronics: 'few', books: -2 }
+    })]);
+
+    expect(errors).toEqual([
+      'Store shop: Low stock threshold must be 0 or more',
+      'Store shop: Low stock threshold for category "electronics" must be a number, 0 or more',
+      'Store shop: Low stock threshold for category "books" must be a number, 0 or more'
+    ]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import RateLimiter from '../../src/middleware/rate-limiter.js';
+
+/**
+ * Minimal Express response recording what the middleware sent
+ * @returns {Object} Fake response
+ */
+function createResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set: (name, value) => {
+      res.headers[name] = value;
+      return res;
+    },
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    }
+  };
+
+  return res;
+}
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('hit', () => {
+    test('allows up to the limit per window', () => {
+      const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+
+      expect(limiter.hit('a').allowed).toBe(true);
+      expect(limiter.hit('a').allowed).toBe(true);
+      expect(limiter.hit('a')).toEqual({ allowed: false, retryAfterMs: 1000 });
+    });
+
+    test('counts clients separately', () => {
+      const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+
+      expect(limiter.hit('a').allowed).toBe(true);
+      expect(limiter.hit('b').allowed).toBe(true);
+      expect(limiter.hit('a').allowed).toBe(false);
+    });
+
+    test('starts a new window once the old one has expired', () => {
+      const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+      limiter.hit('a');
+
+      jest.advanceTimersByTime(400);
+      expect(limiter.hit('a')).toEqual({ allowed: false, retryAfterMs: 600 });
+
+      jest.advanceTimersByTime(600);
+      expect(limiter.hit('a').allowed).toBe(true);
+    });
+
+    test('prunes expired windows once many clients are tracked', () => {
+      const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+      for (let i = 0; i <= 1000; i++) {
+        limiter.hit(`client${i}`);
+      }
+
+      jest.advanceTimersByTime(1000);
+      limiter.hit('fresh');
+
+      expect(limiter.windows.size).toBe(1);
+    });
+  });
+
+  describe('middleware', () => {
+    test('rejects requests over the limit with 429 and Retry-After', () => {
+      const limited = [];
+      const limiter = new RateLimiter({ limit: 1, windowMs: 30000, onLimited: route => limited.push(route) });
+      const middleware = limiter.middleware();
+      const req = { method: 'POST', path: '/collect', ip: '10.0.0.1', route: { path: '/collect' } };
+      const next = jest.fn();
+
+      middleware(req, createResponse(), next);
+      const res = createResponse();
+      middleware(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['Retry-After']).toBe('30');
+      expect(res.body).toEqual({ error: 'Too many requests', retryAfter: 30 });
+      expect(limited).toEqual(['/collect']);
+    });
+
+    test('keys authenticated clients by name rather than IP', () => {
+      const middleware = new RateLimiter({ limit: 1, windowMs: 1000 }).middleware();
+      const next = jest.fn();
+
+      middleware({ method: 'POST', path: '/collect', ip: '10.0.0.1', auth: { name: 'ci' } }, createResponse(), next);
+      middleware({ method: 'POST', path: '/collect', ip: '10.0.0.1' }, createResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('lets every request through when the limit is 0', () => {
+      const middleware = new RateLimiter({ limit: 0 }).middleware();
+      const next = jest.fn();
+
+      for (let i = 0; i < 5; i++) {
+        middleware({ method: 'POST', path: '/collect', ip: '10.0.0.1' }, createResponse(), next);
+      }
+
+      expect(next).toHaveBeenCalledTimes(5);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import CircuitBreaker, { BREAKER_STATES } from '../../src/services/circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+  let transitions;
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    transitions = [];
+    breaker = new CircuitBreaker({
+      name: 'store1',
+      threshold: 3,
+      resetTimeout: 1000,
+      onStateChange: (state, previous) => transitions.push([previous, state])
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const open = () => {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure();
+    }
+  };
+
+  test('starts closed and allows requests', () => {
+    expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('opens after the threshold of consecutive failures', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe(BREAKER_STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(transitions).toEqual([[BREAKER_STATES.CLOSED, BREAKER_STATES.OPEN]]);
+  });
+
+  test('resets the failure count on success', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+  });
+
+  test('reports the time left until a probe is allowed', () => {
+    expect(breaker.getRemainingOpenTime()).toBe(0);
+
+    open();
+    jest.advanceTimersByTime(400);
+
+    expect(breaker.getRemainingOpenTime()).toBe(600);
+  });
+
+  test('lets a single probe through once the reset timeout has passed', () => {
+    open();
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(BREAKER_STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('closes when the probe succeeds', () => {
+    open();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+    expect(transitions.map(([, state]) => state)).toEqual([
+      BREAKER_STATES.OPEN,
+      BREAKER_STATES.HALF_OPEN,
+      BREAKER_STATES.CLOSED
+    ]);
+  });
+
+  test('reopens for another full timeout when the probe fails', () => {
+    open();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(BREAKER_STATES.OPEN);
+    expect(breaker.getRemainingOpenTime()).toBe(1000);
+    expect(breaker.canRequest()).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('lets another probe through after a released probe', () => {
+    open();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+
+    breaker.releaseProbe();
+
+    expect(breaker.state).toBe(BREAKER_STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+});
@@ -0,0 +1,738 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import { formatLocalDate } from '../../src/utils/time-windows.js';
+
+let MetricsCollector;
+
+beforeAll(async () => {
+  ({ default: MetricsCollector } = await import('../../src/services/metrics-collector.js'));
+});
+
+/**
+ * Minimal WooCommerce client serving store data from memory
+ * @param {Object} data - { orders, refunds, products, productsById, truncated, variations, coupons, customers, orderStats, timezoneError }
+ * @param {Object} settings - Store settings overriding the defaults
+ * @returns {Object} Fake client
+ */
+function createClient(data = {}, settings = {}) {
+  const storeInfo = {
+    id: 'shop',
+    name: 'Shop',
+    url: 'https://shop.example.com',
+    currency: 'USD',
+    salesReports: false,
+    timezone: 'UTC',
+    labels: {},
+    tags: [],
+    lowStockThreshold: 10,
+    categoryLowStockThresholds: {},
+    stockTrackingTag: null,
+    trackVariations: true,
+    orderSlaHours: {},
+    countryAddress: 'billing',
+    ...settings
+  };
+  const orders = data.orders || [];
+
+  const client = {
+    customerWalks: 0,
+    productLookups: [],
+    getStoreInfo: () => storeInfo,
+    getTimezone: async () => {
+      if (data.timezoneError) {
+        throw data.timezoneError;
+      }
+      return storeInfo.timezone;
+    },
+    getAllOrders: async (params = {}) => (params.status === 'trash' ? [] : orders),
+    getRefundsByOrder: async (orderIds) => new Map(orderIds.map(orderId => [orderId, data.refunds?.[orderId] || []])),
+    getOrderCount: async (params = {}) => orders.filter(order => !params.status || order.status === params.status).length,
+    getAllProducts: async () => data.products || [],
+    getProductsById: async (productIds) => {
+      client.productLookups.push(productIds);
+      return (data.productsById || []).filter(product => productIds.includes(product.id));
+    },
+    isTruncated: endpoint => (data.truncated || []).includes(endpoint),
+    getProductCount: async (params = {}) => (data.products || [])
+      .filter(product => !params.status || (product.status || 'publish') === params.status).length,
+    getVariationsByProduct: async (productIds) => new Map(productIds.map(productId => [productId, data.variations?.[productId] || []])),
+    getAllCoupons: async () => data.coupons || [],
+    getNewCustomers: async () => data.customers || [],
+    getAllCustomers: async () => {
+      client.customerWalks++;
+      return data.customers || [];
+    },
+    getCustomerCount: async () => (data.customers || []).length,
+    getOrderStats: async (params = {}) => data.orderStats?.[params.period] ?? null
+  };
+
+  return client;
+}
+
+/**
+ * Get the published values of a metric
+ * @param {MetricsCollector} collector - Collector
+ * @param {string} name - Metric name
+ * @param {Object} labels - Labels the values must have
+ * @returns {Promise<Array>} Matching { labels, value } entries
+ */
+async function valuesOf(collector, name, labels = {}) {
+  const metric = (await collector.register.getMetricsAsJSON()).find(entry => entry.name === name);
+
+  return (metric?.values || [])
+    .filter(entry => Object.entries(labels).every(([label, value]) => entry.labels[label] === value));
+}
+
+/**
+ * Get the single published value of a metric
+ * @param {MetricsCollector} collector - Collector
+ * @param {string} name - Metric name
+ * @param {Object} labels - Labels identifying the series
+ * @returns {Promise<number|undefined>} Value or undefined if the series is not published
+ */
+async function valueOf(collector, name, labels = {}) {
+  const values = await valuesOf(collector, name, labels);
+  return values.length === 1 ? values[0].value : undefined;
+}
+
+// Orders are dated relative to now so they fall into today's periods
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, '');
+
+const order = (id, fields = {}) => ({
+  id,
+  status: 'completed',
+  currency: 'USD',
+  customer_id: 0,
+  total: '100.00',
+  date_created_gmt: hoursAgo(0),
+  date_modified_gmt: hoursAgo(0),
+  line_items: [],
+  refunds: [],
+  ...fields
+});
+
+describe('MetricsCollector', () => {
+  let directory;
+  let collector;
+
+  beforeEach(() => {
+    // Keep the order cache out of the repository's data directory
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-collector-'));
+    process.env.ORDER_CACHE_DIR = directory;
+    collector = new MetricsCollector();
+  });
+
+  afterEach(() => {
+    delete process.env.ORDER_CACHE_DIR;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('timezone detection', () => {
+    test('keeps the previous period values and reports the failure when detection fails', async () => {
+      const client = createClient({ orders: [order(1)] });
+      expect((await collector.collectStoreMetrics(client)).failed).toEqual([]);
+
+      const revenue = { store_id: 'shop', currency: 'USD', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_total_revenue', revenue)).toBe(100);
+
+      const failing = createClient({
+        orders: [order(1), order(2, { total: '50.00' })],
+        timezoneError: new Error('Timezone detection failed for store shop')
+      });
+      const result = await collector.collectStoreMetrics(failing);
+
+      expect(result.failed).toEqual(expect.arrayContaining(['orders', 'customers', 'coupon_discounts']));
+      expect(await valueOf(collector, 'woocommerce_total_revenue', revenue)).toBe(100);
+      expect(await valueOf(collector, 'woocommerce_collector_success', { collector: 'orders' })).toBe(0);
+      expect(await valueOf(collector, 'woocommerce_collector_success', { collector: 'products' })).toBe(1);
+      expect(await valueOf(collector, 'woocommerce_store_up', { store_id: 'shop' })).toBe(1);
+    });
+  });
+
+  describe('order processing time', () => {
+    test('averages completed orders and skips orders without a usable creation date', async () => {
+      const client = createClient({
+        orders: [
+          order(1, { date_created_gmt: hoursAgo(10), date_completed_gmt: hoursAgo(6) }),
+          order(2, { date_created_gmt: hoursAgo(5), date_completed_gmt: hoursAgo(3) }),
+          order(3, { date_created_gmt: null, date_created: 'not a date', date_completed_gmt: hoursAgo(1) })
+        ]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      expect(await valueOf(collector, 'woocommerce_order_processing_time_hours', { store_id: 'shop' })).toBeCloseTo(3);
+    });
+  });
+
+  describe('customer metrics', () => {
+    const customer = (id, fields = {}) => ({
+      id,
+      date_created_gmt: hoursAgo(24 * 400),
+      total_spent: '0.00',
+      orders_count: 0,
+      ...fields
+    });
+
+    test('builds the lifetime value histograms from total_spent and orders_count', async () => {
+      const client = createClient({
+        customers: [
+          customer(1, { date_created_gmt: hoursAgo(1), total_spent: '80.00', orders_count: 1 }),
+          customer(2, { total_spent: '300.00', orders_count: 3 }),
+          customer(3, { date_created_gmt: hoursAgo(2) })
+        ],
+        // Orders are not used for lifetime values: a guest order and a customer 1 order outside the cache
+        orders: [order(1, { customer_id: 1, total: '999.00' }), order(2, { total: '40.00' })]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const labels = { store_id: 'shop', currency: 'USD' };
+      expect(await valueOf(collector, 'woocommerce_customer_lifetime_value_count', labels)).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_customer_lifetime_value_sum', labels)).toBe(380);
+      expect(await valueOf(collector, 'woocommerce_customer_lifetime_value_bucket', { ...labels, le: '100' })).toBe(1);
+      expect(await valueOf(collector, 'woocommerce_customer_lifetime_value_bucket', { ...labels, le: '+Inf' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_customer_orders_sum', { store_id: 'shop' })).toBe(4);
+      expect(await valueOf(collector, 'woocommerce_new_customers', { store_id: 'shop', period: 'today' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_total_customers', { store_id: 'shop' })).toBe(3);
+    });
+
+    test('reuses lifetime values until the refresh interval has passed', async () => {
+      const client = createClient({ customers: [customer(1, { total_spent: '80.00', orders_count: 1 })] });
+
+      await collector.collectStoreMetrics(client);
+      await collector.collectStoreMetrics(client);
+      expect(client.customerWalks).toBe(1);
+
+      collector.customerCache.values.get('shop').fetchedAt -= collector.customerCache.valueRefreshInterval;
+      await collector.collectStoreMetrics(client);
+      expect(client.customerWalks).toBe(2);
+    });
+
+    test('keeps the previous lifetime values when a refresh fails', async () => {
+      const client = createClient({ customers: [customer(1, { total_spent: '80.00', orders_count: 1 })] });
+      await collector.collectStoreMetrics(client);
+
+      collector.customerCache.values.get('shop').fetchedAt = 0;
+      client.getAllCustomers = async () => {
+        throw new Error('HTTP 503');
+      };
+      const result = await collector.collectStoreMetrics(client);
+
+      expect(result.failed).toEqual([]);
+      expect(await valueOf(collector, 'woocommerce_customer_lifetime_value_sum', { store_id: 'shop' })).toBe(80);
+    });
+  });
+
+  describe('product sales', () => {
+    const sold = (id, productId, quantity) => order(id, {
+      line_items: [{ product_id: productId, sku: `sku-${productId}`, quantity, total: String(quantity * 10) }]
+    });
+    const product = (id, category) => ({ id, type: 'simple', categories: [{ slug: category }] });
+
+    test('looks up sold products missing from a truncated product list', async () => {
+      const client = createClient({
+        orders: [sold(1, 1, 2), sold(2, 2, 3), sold(3, 3, 1)],
+        products: [product(1, 'mugs')],
+        productsById: [product(2, 'shirts')],
+        truncated: ['products']
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      expect(client.productLookups).toEqual([[2, 3]]);
+      const quantity = { store_id: 'shop', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_category_sales_quantity', { ...quantity, category: 'mugs' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_category_sales_quantity', { ...quantity, category: 'shirts' })).toBe(3);
+      // Product 3 was deleted
+      expect(await valueOf(collector, 'woocommerce_category_sales_quantity', { ...quantity, category: 'unknown' })).toBe(1);
+    });
+
+    test('does not look up products when the product list is complete', async () => {
+      const client = createClient({ orders: [sold(1, 2, 1)], products: [product(1, 'mugs')] });
+
+      await collector.collectStoreMetrics(client);
+
+      expect(client.productLookups).toEqual([]);
+      expect(await valueOf(collector, 'woocommerce_category_sales_quantity', { store_id: 'shop', period: 'today', category: 'unknown' })).toBe(1);
+    });
+  });
+
+  describe('low stock products', () => {
+    test('counts products against their own threshold and exports the store default separately', async () => {
+      const stocked = (id, quantity, fields = {}) => ({
+        id,
+        type: 'simple',
+        manage_stock: true,
+        stock_quantity: quantity,
+        stock_status: 'instock',
+        categories: [],
+        ...fields
+      });
+      const client = createClient({
+        products: [
+          stocked(1, 8),
+          stocked(2, 8, { low_stock_amount: 5 }),
+          stocked(3, 4, { categories: [{ slug: 'electronics' }] }),
+          stocked(4, 0, { stock_status: 'outofstock' })
+        ]
+      }, { categoryLowStockThresholds: { electronics: 3 } });
+
+      await collector.collectStoreMetrics(client);
+
+      const [lowStock] = await valuesOf(collector, 'woocommerce_low_stock_products', { store_id: 'shop' });
+      expect(lowStock.value).toBe(1);
+      expect(lowStock.labels).not.toHaveProperty('threshold');
+      expect(await valueOf(collector, 'woocommerce_low_stock_threshold', { store_id: 'shop' })).toBe(10);
+      expect(await valueOf(collector, 'woocommerce_out_of_stock_products', { store_id: 'shop' })).toBe(1);
+    });
+  });
+
+  describe('coupons', () => {
+    const coupon = (code, fields = {}) => ({
+      code,
+      status: 'publish',
+      usage_count: 0,
+      usage_limit: null,
+      date_expires_gmt: null,
+      ...fields
+    });
+
+    test('counts active coupons and exports usage per code', async () => {
+      const client = createClient({
+        coupons: [
+          coupon('SUMMER', { usage_count: 3, usage_limit: 10, date_expires_gmt: hoursAgo(-48) }),
+          coupon('welcome', { usage_count: 7 }),
+          coupon('expired', { date_expires_gmt: hoursAgo(1) }),
+          coupon('used-up', { usage_count: 5, usage_limit: 5 }),
+          coupon('draft', { status: 'draft' })
+        ]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const store = { store_id: 'shop' };
+      expect(await valueOf(collector, 'woocommerce_active_coupons', store)).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_coupon_usage_count', { ...store, code: 'summer' })).toBe(3);
+      expect(await valueOf(collector, 'woocommerce_coupon_usage_limit', { ...store, code: 'summer' })).toBe(10);
+      expect(await valueOf(collector, 'woocommerce_coupon_usage_limit', { ...store, code: 'welcome' })).toBeUndefined();
+      expect(await valueOf(collector, 'woocommerce_coupon_usage_count', { ...store, code: 'expired' })).toBeUndefined();
+      expect(await valueOf(collector, 'woocommerce_coupons_expiring_soon', store)).toBe(1);
+    });
+
+    test('sums discounts of paid orders per period and code, grouping unknown codes', async () => {
+      const client = createClient({
+        coupons: [coupon('summer')],
+        orders: [
+          order(1, { discount_total: '10.00', coupon_lines: [{ code: 'SUMMER', discount: '10.00' }] }),
+          order(2, {
+            date_created_gmt: hoursAgo(24 * 40),
+            discount_total: '5.00',
+            coupon_lines: [{ code: 'deleted', discount: '5.00' }]
+          }),
+          order(3, { status: 'cancelled', discount_total: '50.00', coupon_lines: [{ code: 'summer', discount: '50.00' }] })
+        ]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const labels = { store_id: 'shop', currency: 'USD' };
+      expect(await valueOf(collector, 'woocommerce_discount_total', { ...labels, period: 'today' })).toBe(10);
+      expect(await valueOf(collector, 'woocommerce_discount_total', { ...labels, period: 'all_time' })).toBe(15);
+      expect(await valueOf(collector, 'woocommerce_coupon_discount_total', { ...labels, code: 'summer' })).toBe(10);
+      expect(await valueOf(collector, 'woocommerce_coupon_discount_total', { ...labels, code: 'other' })).toBe(5);
+    });
+  });
+
+  describe('sales reports', () => {
+    const report = (totalSales) => [{ total_sales: totalSales, net_sales: '90.00', total_tax: '10.00', total_refunds: '5.00' }];
+
+    test('publishes each report period, requesting the day in the store timezone', async () => {
+      const requests = [];
+      const client = createClient({}, { salesReports: true, timezone: '+14:00' });
+      client.getOrderStats = async (params) => {
+        requests.push(params);
+        return params.period ? report(params.period === 'year' ? '1200.50' : '300.00') : report('100.00');
+      };
+
+      await collector.collectStoreMetrics(client);
+
+      const today = formatLocalDate(Date.now(), '+14:00');
+      expect(requests).toContainEqual({ date_min: today, date_max: today });
+      const labels = { store_id: 'shop', currency: 'USD' };
+      expect(await valueOf(collector, 'woocommerce_sales_report_total_sales', { ...labels, period: 'day' })).toBe(100);
+      expect(await valueOf(collector, 'woocommerce_sales_report_total_sales', { ...labels, period: 'year' })).toBe(1200.5);
+      expect(await valueOf(collector, 'woocommerce_sales_report_net_sales', { ...labels, period: 'week' })).toBe(90);
+      // Fields missing from the report are published as 0
+      expect(await valueOf(collector, 'woocommerce_sales_report_total_shipping', { ...labels, period: 'month' })).toBe(0);
+    });
+
+    test('skips empty reports and is not collected unless enabled', async () => {
+      const client = createClient({ orderStats: { week: report('300.00'), month: [], year: null } }, { salesReports: true });
+
+      await collector.collectStoreMetrics(client);
+
+      expect(await valueOf(collector, 'woocommerce_sales_report_total_sales', { period: 'week' })).toBe(300);
+      expect(await valuesOf(collector, 'woocommerce_sales_report_total_sales', { period: 'month' })).toEqual([]);
+
+      const disabled = createClient({ orderStats: { week: report('300.00') } }, { id: 'other' });
+      const result = await collector.collectStoreMetrics(disabled);
+
+      expect(result.failed).toEqual([]);
+      expect(await valuesOf(collector, 'woocommerce_sales_report_total_sales', { store_id: 'other' })).toEqual([]);
+    });
+  });
+
+  describe('variations', () => {
+    const variation = (id, fields = {}) => ({
+      id,
+      sku: `tee-${id}`,
+      manage_stock: true,
+      stock_quantity: 20,
+      stock_status: 'instock',
+      attributes: [{ name: 'Size', option: `S${id}` }],
+      ...fields
+    });
+    const tee = (fields = {}) => ({
+      id: 1,
+      type: 'variable',
+      manage_stock: false,
+      stock_status: 'instock',
+      categories: [],
+      tags: [{ slug: 'tracked' }],
+      ...fields
+    });
+
+    test('counts the stock of variations instead of their parent', async () => {
+      const client = createClient({
+        products: [tee()],
+        variations: {
+          1: [
+            variation(11, { stock_quantity: 0, stock_status: 'outofstock' }),
+            variation(12, { stock_quantity: 2 }),
+            variation(13, { manage_stock: 'parent', stock_quantity: null })
+          ]
+        }
+      }, { stockTrackingTag: 'tracked' });
+
+      await collector.collectStoreMetrics(client);
+
+      const store = { store_id: 'shop' };
+      expect(await valueOf(collector, 'woocommerce_total_variations', store)).toBe(3);
+      expect(await valueOf(collector, 'woocommerce_out_of_stock_products', store)).toBe(1);
+      expect(await valueOf(collector, 'woocommerce_low_stock_products', store)).toBe(1);
+      expect(await valueOf(collector, 'woocommerce_product_stock_quantity', { ...store, product_id: '12' })).toBe(2);
+
+      const [stock] = await valuesOf(collector, 'woocommerce_product_stock_quantity', { ...store, product_id: '12' });
+      expect(stock.labels).toMatchObject({ sku: 'tee-12', parent_id: '1', attributes: 'Size=S12' });
+      // Variations sharing the parent's stock get no series of their own
+      expect(await valuesOf(collector, 'woocommerce_product_stock_status', { ...store, product_id: '13' })).toEqual([]);
+    });
+
+    test('counts a parent managing the stock of its variations once', async () => {
+      const client = createClient({
+        products: [tee({ manage_stock: true, stock_quantity: 3 })],
+        variations: { 1: [variation(11, { manage_stock: 'parent' }), variation(12, { manage_stock: 'parent' })] }
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      expect(await valueOf(collector, 'woocommerce_low_stock_products', { store_id: 'shop' })).toBe(1);
+    });
+
+    test('skips variations when variation tracking is off', async () => {
+      const client = createClient({
+        products: [tee({ stock_status: 'outofstock' })],
+        variations: { 1: [variation(11)] }
+      }, { trackVariations: false });
+
+      await collector.collectStoreMetrics(client);
+
+      expect(await valuesOf(collector, 'woocommerce_total_variations', { store_id: 'shop' })).toEqual([]);
+      expect(await valueOf(collector, 'woocommerce_out_of_stock_products', { store_id: 'shop' })).toBe(1);
+    });
+  });
+
+  describe('refunds', () => {
+    const refund = (id, amount, reason, refundedAt) => ({ id, amount, reason, date_created_gmt: refundedAt });
+
+    test('counts refunds by refund date and reason and subtracts them from net revenue', async () => {
+      const lastYear = hoursAgo(24 * 400);
+      const client = createClient({
+        orders: [
+          order(1, { refunds: [{ id: 11 }, { id: 12 }] }),
+          order(2, { date_created_gmt: lastYear, refunds: [{ id: 21 }] }),
+          order(3, { status: 'refunded', total: '30.00', refunds: [{ id: 31 }] })
+        ],
+        refunds: {
+          1: [refund(11, '20.00', 'Damaged', hoursAgo(0)), refund(12, '5.00', '', hoursAgo(0))],
+          2: [refund(21, '-15.00', 'damaged', hoursAgo(0))],
+          3: [refund(31, '30.00', 'Changed mind', lastYear)]
+        }
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const labels = { store_id: 'shop', currency: 'USD' };
+      const today = { ...labels, period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_refund_amount', { ...today, reason: 'damaged' })).toBe(35);
+      expect(await valueOf(collector, 'woocommerce_refund_count', { ...today, reason: 'damaged' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_refund_amount', { ...today, reason: 'none' })).toBe(5);
+      expect(await valueOf(collector, 'woocommerce_refund_amount', { ...today, reason: 'changed mind' })).toBe(0);
+      expect(await valueOf(collector, 'woocommerce_refund_amount', { ...labels, period: 'all_time', reason: 'changed mind' })).toBe(30);
+
+      // Net revenue follows the order date of completed orders
+      expect(await valueOf(collector, 'woocommerce_total_revenue', today)).toBe(100);
+      expect(await valueOf(collector, 'woocommerce_net_revenue', today)).toBe(75);
+      expect(await valueOf(collector, 'woocommerce_net_revenue', { ...labels, period: 'all_time' })).toBe(160);
+    });
+
+    test('groups reasons beyond the top 10 by amount as other', async () => {
+      const refunds = Array.from({ length: 12 }, (_, index) => refund(index + 1, String(index + 1), `reason ${index + 1}`, hoursAgo(0)));
+      const client = createClient({
+        orders: [order(1, { refunds: refunds.map(({ id }) => ({ id })) })],
+        refunds: { 1: refunds }
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const allTime = { store_id: 'shop', period: 'all_time' };
+      expect(await valuesOf(collector, 'woocommerce_refund_amount', allTime)).toHaveLength(11);
+      expect(await valueOf(collector, 'woocommerce_refund_amount', { ...allTime, reason: 'other' })).toBe(3);
+      expect(await valueOf(collector, 'woocommerce_refund_count', { ...allTime, reason: 'other' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_refund_amount', { ...allTime, reason: 'reason 12' })).toBe(12);
+    });
+  });
+
+  describe('currency conversion', () => {
+    beforeEach(() => {
+      process.env.REPORTING_CURRENCY = 'usd';
+      process.env.EXCHANGE_RATE_PROVIDER = 'fixed';
+      collector = new MetricsCollector();
+      // 1 EUR = 2 USD = 1.6 GBP
+      collector.exchangeRates.register('fixed', { getRates: async () => ({ base: 'EUR', rates: { USD: 2, GBP: '1.6' } }) });
+    });
+
+    afterEach(() => {
+      delete process.env.REPORTING_CURRENCY;
+      delete process.env.EXCHANGE_RATE_PROVIDER;
+    });
+
+    test('converts the revenue of every order currency and sums it across stores', async () => {
+      const shop = createClient({ orders: [order(1), order(2, { currency: 'GBP', total: '80.00' })] });
+      const eu = createClient({ orders: [order(1, { currency: 'EUR', total: '50.00' })] }, { id: 'eu', currency: 'EUR' });
+
+      await collector.collectStoreMetrics(shop);
+      await collector.collectStoreMetrics(eu);
+
+      const today = { currency: 'USD', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_revenue_converted', { ...today, store_id: 'shop' })).toBe(200);
+      expect(await valueOf(collector, 'woocommerce_revenue_converted', { ...today, store_id: 'eu' })).toBe(100);
+      expect(await valueOf(collector, 'woocommerce_total_revenue_all_stores', today)).toBe(300);
+      expect(await valueOf(collector, 'woocommerce_exchange_rate', { currency: 'EUR', reporting_currency: 'USD' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_exchange_rate', { currency: 'GBP' })).toBe(1.25);
+    });
+
+    test('keeps the previous converted revenue when a currency has no rate', async () => {
+      const orders = [order(1)];
+      const client = createClient({ orders });
+      await collector.collectStoreMetrics(client);
+
+      orders.push(order(2, { currency: 'JPY', total: '5000.00' }));
+      const result = await collector.collectStoreMetrics(client);
+
+      expect(result.failed).toEqual([]);
+      expect(await valueOf(collector, 'woocommerce_total_revenue', { store_id: 'shop', currency: 'JPY', period: 'today' })).toBe(5000);
+      expect(await valueOf(collector, 'woocommerce_revenue_converted', { store_id: 'shop', period: 'today' })).toBe(100);
+    });
+
+    test('publishes no converted revenue without a reporting currency', async () => {
+      delete process.env.REPORTING_CURRENCY;
+      collector = new MetricsCollector();
+
+      await collector.collectStoreMetrics(createClient({ orders: [order(1)] }));
+
+      expect(await valuesOf(collector, 'woocommerce_revenue_converted')).toEqual([]);
+      expect(await valuesOf(collector, 'woocommerce_total_revenue_all_stores')).toEqual([]);
+    });
+  });
+
+  describe('payment and shipping methods', () => {
+    const paid = (id, paymentMethod, fields = {}) => order(id, {
+      payment_method: paymentMethod,
+      payment_method_title: paymentMethod === 'stripe' ? 'Credit card' : 'PayPal',
+      ...fields
+    });
+
+    test('counts orders, failures and revenue by payment method', async () => {
+      const client = createClient({
+        orders: [
+          paid(1, 'stripe'),
+          paid(2, 'stripe', { status: 'failed' }),
+          paid(3, 'stripe', { status: 'processing', total: '50.00' }),
+          paid(4, 'paypal', { date_created_gmt: hoursAgo(24 * 40) })
+        ]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const stripe = { store_id: 'shop', payment_method: 'stripe', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_payment_method_orders', stripe)).toBe(3);
+      expect(await valueOf(collector, 'woocommerce_payment_method_failed_orders', stripe)).toBe(1);
+      expect(await valueOf(collector, 'woocommerce_payment_method_failure_rate', stripe)).toBeCloseTo(1 / 3);
+      expect(await valueOf(collector, 'woocommerce_payment_method_revenue', { ...stripe, currency: 'USD' })).toBe(150);
+      expect(await valueOf(collector, 'woocommerce_payment_method_orders', { payment_method: 'paypal', period: 'today' })).toBe(0);
+      expect(await valueOf(collector, 'woocommerce_payment_method_orders', { payment_method: 'paypal', period: 'all_time' })).toBe(1);
+      expect(await valueOf(collector, 'woocommerce_payment_method_info', { payment_method: 'stripe', title: 'Credit card' })).toBe(1);
+    });
+
+    test('counts paid orders once per shipping method and sums the shipping charged', async () => {
+      const client = createClient({
+        orders: [
+          order(1, { shipping_lines: [{ method_id: 'flat_rate', total: '5.00' }] }),
+          order(2, { shipping_lines: [{ method_id: 'flat_rate', total: '5.00' }, { method_id: 'flat_rate', total: '2.50' }] }),
+          order(3, { shipping_lines: [{ method_id: 'local_pickup', total: '0.00' }] }),
+          order(4),
+          order(5, { status: 'pending', shipping_lines: [{ method_id: 'flat_rate', total: '5.00' }] })
+        ]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const today = { store_id: 'shop', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_shipping_method_orders', { ...today, shipping_method: 'flat_rate' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_shipping_method_revenue', { ...today, shipping_method: 'flat_rate', currency: 'USD' })).toBe(12.5);
+      expect(await valueOf(collector, 'woocommerce_shipping_method_orders', { ...today, shipping_method: 'local_pickup' })).toBe(1);
+      // Orders without shipping lines (e.g. virtual products)
+      expect(await valueOf(collector, 'woocommerce_shipping_method_orders', { ...today, shipping_method: 'none' })).toBe(1);
+    });
+
+    test('groups methods outside the top N or the allowlist as other', () => {
+      const counts = { stripe: 30, paypal: 20, cod: 10 };
+
+      const topTwo = collector.createLabelMapper(counts, [], 2);
+      expect(['stripe', 'paypal', 'cod'].map(topTwo)).toEqual(['stripe', 'paypal', 'other']);
+
+      const allowed = collector.createLabelMapper(counts, ['cod'], 2);
+      expect(['stripe', 'cod', 'bacs'].map(allowed)).toEqual(['other', 'cod', 'other']);
+    });
+  });
+
+  describe('countries', () => {
+    const from = (id, billing, shipping, fields = {}) => order(id, {
+      billing: { country: billing },
+      shipping: { country: shipping },
+      ...fields
+    });
+
+    test('counts paid orders and revenue by billing country', async () => {
+      const client = createClient({
+        orders: [
+          from(1, 'us', 'CA'),
+          from(2, 'US', ''),
+          from(3, 'DE', 'DE', { currency: 'EUR', total: '80.00' }),
+          from(4, '', ''),
+          from(5, 'FR', 'FR', { status: 'failed' })
+        ]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const today = { store_id: 'shop', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_orders_by_country', { ...today, country: 'US' })).toBe(2);
+      expect(await valueOf(collector, 'woocommerce_revenue_by_country', { ...today, country: 'US', currency: 'USD' })).toBe(200);
+      expect(await valueOf(collector, 'woocommerce_revenue_by_country', { ...today, country: 'DE', currency: 'EUR' })).toBe(80);
+      expect(await valueOf(collector, 'woocommerce_orders_by_country', { ...today, country: 'unknown' })).toBe(1);
+      expect(await valuesOf(collector, 'woocommerce_orders_by_country', { country: 'FR' })).toEqual([]);
+    });
+
+    test('uses the shipping country, falling back to billing for orders without one', async () => {
+      const client = createClient({
+        orders: [from(1, 'US', 'CA'), from(2, 'US', '')]
+      }, { countryAddress: 'shipping' });
+
+      await collector.collectStoreMetrics(client);
+
+      const today = { store_id: 'shop', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_orders_by_country', { ...today, country: 'CA' })).toBe(1);
+      expect(await valueOf(collector, 'woocommerce_orders_by_country', { ...today, country: 'US' })).toBe(1);
+    });
+
+    test('groups countries beyond the top 25 as other', async () => {
+      const countries = ['US', 'US', 'US', 'DE', 'DE', ...Array.from({ length: 25 }, (_, index) => `X${String.fromCharCode(65 + index)}`)];
+      const client = createClient({ orders: countries.map((country, index) => from(index + 1, country, '')) });
+
+      await collector.collectStoreMetrics(client);
+
+      const allTime = { store_id: 'shop', period: 'all_time' };
+      expect(await valuesOf(collector, 'woocommerce_orders_by_country', allTime)).toHaveLength(26);
+      expect(await valueOf(collector, 'woocommerce_orders_by_country', { ...allTime, country: 'US' })).toBe(3);
+      expect(await valueOf(collector, 'woocommerce_orders_by_country', { ...allTime, country: 'other' })).toBe(2);
+    });
+  });
+
+  describe('revenue components', () => {
+    test('splits completed order totals into tax, shipping, fees and net product revenue', async () => {
+      const client = createClient({
+        orders: [
+          order(1, {
+            total: '121.00',
+            total_tax: '21.00',
+            shipping_total: '10.00',
+            discount_total: '8.00',
+            fee_lines: [{ total: '3.00' }, { total: '2.00' }]
+          }),
+          order(2, { total: '50.00', total_tax: '5.00', discount_total: '1.00', date_created_gmt: hoursAgo(24 * 40) }),
+          order(3, { status: 'processing', total: '60.00', total_tax: '10.00' })
+        ]
+      });
+
+      await collector.collectStoreMetrics(client);
+
+      const today = { store_id: 'shop', currency: 'USD', period: 'today' };
+      expect(await valueOf(collector, 'woocommerce_revenue_tax', today)).toBe(21);
+      expect(await valueOf(collector, 'woocommerce_revenue_shipping', today)).toBe(10);
+      expect(await valueOf(collector, 'woocommerce_revenue_fees', today)).toBe(5);
+      expect(await valueOf(collector, 'woocommerce_revenue_discount', today)).toBe(8);
+      expect(await valueOf(collector, 'woocommerce_revenue_products', today)).toBe(85);
+      expect(await valueOf(collector, 'woocommerce_total_revenue', today)).toBe(121);
+
+      const allTime = { ...today, period: 'all_time' };
+      expect(await valueOf(collector, 'woocommerce_revenue_tax', allTime)).toBe(26);
+      expect(await valueOf(collector, 'woocommerce_revenue_products', allTime)).toBe(130);
+    });
+  });
+
+  describe('getLowStockThreshold', () => {
+    const storeInfo = {
+      lowStockThreshold: 10,
+      categoryLowStockThresholds: { electronics: 3, 'home-garden': 20 }
+    };
+
+    test('uses the store threshold for products without overrides', () => {
+      expect(collector.getLowStockThreshold({ categories: [{ slug: 'books', name: 'Books' }] }, storeInfo)).toBe(10);
+    });
+
+    test('uses the product\'s own low_stock_amount first', () => {
+      const product = { low_stock_amount: '2', categories: [{ slug: 'home-garden' }] };
+
+      expect(collector.getLowStockThreshold(product, storeInfo)).toBe(2);
+    });
+
+    test('matches categories by slug or name and takes the highest threshold', () => {
+      const product = { low_stock_amount: null, categories: [{ slug: 'electronics' }, { slug: 'garden', name: 'Home-Garden' }] };
+
+      expect(collector.getLowStockThreshold(product, storeInfo)).toBe(20);
+    });
+
+    test('falls back from a variation to its parent', () => {
+      const parent = { low_stock_amount: null, categories: [{ slug: 'electronics' }] };
+
+      expect(collector.getLowStockThreshold({ low_stock_amount: '1' }, storeInfo, parent)).toBe(1);
+      expect(collector.getLowStockThreshold({}, storeInfo, parent)).toBe(3);
+      expect(collector.getLowStockThreshold({}, storeInfo, { ...parent, low_stock_amount: 7 })).toBe(7);
+    });
+  });
+});
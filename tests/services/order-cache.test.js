@@ -0,0 +1,192 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import OrderCache from '../../src/services/order-cache.js';
+
+/**
+ * Minimal WooCommerce client serving orders from memory
+ * @param {Object} data - { orders, trash, refunds } where refunds maps order ID -> refunds
+ * @returns {Object} Fake client recording the order queries it received
+ */
+function createClient(data) {
+  const client = {
+    queries: [],
+    refundRequests: [],
+    getStoreInfo: () => ({ id: 'store1' }),
+    getAllOrders: async (params) => {
+      client.queries.push(params);
+      return params.status === 'trash' ? data.trash || [] : data.orders || [];
+    },
+    getRefundsByOrder: async (orderIds) => {
+      client.refundRequests.push(orderIds);
+      return new Map(orderIds
+        .filter(orderId => data.refunds?.[orderId])
+        .map(orderId => [orderId, data.refunds[orderId]]));
+    }
+  };
+
+  return client;
+}
+
+const order = (id, modified, fields = {}) => ({
+  id,
+  status: 'completed',
+  total: '10.00',
+  date_modified_gmt: modified,
+  refunds: [],
+  ...fields
+});
+
+describe('OrderCache', () => {
+  let directory;
+  let cache;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'order-cache-'));
+    cache = new OrderCache({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('maxDate', () => {
+    test('reads WooCommerce GMT dates without a zone suffix as UTC', () => {
+      expect(cache.maxDate(null, '2024-03-01T10:00:00')).toBe('2024-03-01T10:00:00.000Z');
+    });
+
+    test('keeps the later date', () => {
+      const current = '2024-03-01T10:00:00.000Z';
+      expect(cache.maxDate(current, '2024-02-01T10:00:00')).toBe(current);
+      expect(cache.maxDate(current, '2024-03-01T10:00:01')).toBe('2024-03-01T10:00:01.000Z');
+    });
+
+    test('ignores missing and invalid candidates', () => {
+      const current = '2024-03-01T10:00:00.000Z';
+      expect(cache.maxDate(current, null)).toBe(current);
+      expect(cache.maxDate(current, 'not a date')).toBe(current);
+    });
+  });
+
+  describe('pick', () => {
+    test('keeps only the cached fields', () => {
+      const trimmed = cache.pick({
+        id: 7,
+        status: 'processing',
+        total: '25.00',
+        customer_note: 'leave at the door',
+        billing: { country: 'DE', email: 'someone@example.com', phone: '123' },
+        line_items: [{ product_id: 3, name: 'Mug', quantity: 2, total: '20.00', meta_data: [{ key: 'x' }] }]
+      });
+
+      expect(trimmed).toEqual({
+        id: 7,
+        status: 'processing',
+        total: '25.00',
+        billing: { country: 'DE' },
+        shipping: { country: undefined },
+        line_items: [{ product_id: 3, variation_id: undefined, sku: undefined, name: 'Mug', quantity: 2, total: '20.00' }],
+        coupon_lines: [],
+        shipping_lines: [],
+        fee_lines: []
+      });
+    });
+  });
+
+  describe('sync', () => {
+    test('performs a full sync first and persists the watermark', async () => {
+      const client = createClient({ orders: [order(1, '2024-03-01T10:00:00'), order(2, '2024-03-02T10:00:00')] });
+
+      const orders = await cache.sync(client);
+
+      expect(orders.map(cached => cached.id)).toEqual([1, 2]);
+      expect(client.queries).toHaveLength(1);
+      expect(client.queries[0].modified_after).toBeUndefined();
+
+      const saved = JSON.parse(fs.readFileSync(path.join(directory, 'store1.json'), 'utf8'));
+      expect(saved.watermark).toBe('2024-03-02T10:00:00.000Z');
+      expect(saved.orders).toHaveLength(2);
+    });
+
+    test('re-fetches a small overlap before the watermark on incremental syncs', async () => {
+      await cache.sync(createClient({ orders: [order(1, '2024-03-01T10:00:00')] }));
+
+      const client = createClient({ orders: [] });
+      await cache.sync(client);
+
+      expect(client.queries[0].modified_after).toBe('2024-03-01T09:59:59');
+    });
+
+    test('loads the persisted cache in a new instance', async () => {
+      await cache.sync(createClient({ orders: [order(1, '2024-03-01T10:00:00')] }));
+
+      const client = createClient({ orders: [order(2, '2024-03-03T10:00:00')] });
+      const orders = await new OrderCache({ directory }).sync(client);
+
+      expect(client.queries[0].modified_after).toBe('2024-03-01T09:59:59');
+      expect(orders.map(cached => cached.id)).toEqual([1, 2]);
+    });
+
+    test('removes trashed orders and only queries the trash incrementally', async () => {
+      const first = createClient({ orders: [order(1, '2024-03-01T10:00:00'), order(2, '2024-03-01T11:00:00')] });
+      await cache.sync(first);
+      expect(first.queries.some(params => params.status === 'trash')).toBe(false);
+
+      const second = createClient({ orders: [], trash: [order(2, '2024-03-02T10:00:00', { status: 'trash' })] });
+      const orders = await cache.sync(second);
+
+      expect(orders.map(cached => cached.id)).toEqual([1]);
+      expect(cache.stores.get('store1').watermark).toBe('2024-03-02T10:00:00.000Z');
+    });
+
+    test('keeps cached refunds while an order\'s refund IDs are unchanged', async () => {
+      const refunded = order(1, '2024-03-01T10:00:00', { refunds: [{ id: 11, total: '-5.00' }] });
+      const refunds = { 1: [{ id: 11, amount: '5.00', reason: 'Damaged', date_created_gmt: '2024-03-01T12:00:00' }] };
+      await cache.sync(createClient({ orders: [refunded], refunds }));
+
+      const client = createClient({ orders: [{ ...refunded, date_modified_gmt: '2024-03-02T10:00:00' }], refunds });
+      const [cached] = await cache.sync(client);
+
+      expect(client.refundRequests).toEqual([]);
+      expect(cached.refunds).toEqual([{ id: 11, amount: '5.00', reason: 'Damaged', date_created: undefined, date_created_gmt: '2024-03-01T12:00:00' }]);
+    });
+
+    test('keeps the orders when refunds fail and retries only those refunds', async () => {
+      const orders = [
+        order(1, '2024-03-01T10:00:00'),
+        order(2, '2024-03-01T11:00:00', { refunds: [{ id: 21 }] })
+      ];
+      const synced = await cache.sync(createClient({ orders }));
+
+      expect(synced.map(cached => [cached.id, cached.refunds])).toEqual([[1, []], [2, null]]);
+
+      const client = createClient({ orders: [], refunds: { 2: [{ id: 21, amount: '3.00' }] } });
+      const [, retried] = await cache.sync(client);
+
+      expect(client.refundRequests).toEqual([[2]]);
+      expect(retried.refunds).toHaveLength(1);
+    });
+
+    test('shares a sync between concurrent callers', async () => {
+      const client = createClient({ orders: [order(1, '2024-03-01T10:00:00')] });
+
+      await Promise.all([cache.sync(client), cache.sync(client)]);
+
+      expect(client.queries).toHaveLength(1);
+    });
+  });
+
+  describe('clear', () => {
+    test('waits for the sync in progress before removing the file', async () => {
+      const client = createClient({ orders: [order(1, '2024-03-01T10:00:00')] });
+
+      const syncing = cache.sync(client);
+      await cache.clear('store1');
+      await syncing;
+
+      expect(fs.existsSync(path.join(directory, 'store1.json'))).toBe(false);
+      expect(cache.stores.has('store1')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, test, expect } from '@jest/globals';
+import WooCommerceClient from '../../src/services/woocommerce-client.js';
+
+/**
+ * Create a client that fails fast, with its site index served by a stub
+ * @param {Object} config - Store settings overriding the defaults
+ * @param {Function} fetchSiteIndex - Stub for the WordPress REST index request
+ * @returns {WooCommerceClient} Client
+ */
+function createClient(config = {}, fetchSiteIndex = async () => ({ data: {} })) {
+  const client = new WooCommerceClient({
+    id: 'shop',
+    name: 'Shop',
+    url: 'https://shop.example.com',
+    consumerKey: 'ck_test',
+    consumerSecret: 'cs_test',
+    maxRetries: 0,
+    circuitBreakerThreshold: 1,
+    ...config
+  });
+  client.fetchSiteIndex = fetchSiteIndex;
+
+  return client;
+}
+
+const networkError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+describe('getTimezone', () => {
+  test('uses the configured timezone without a request', async () => {
+    let requests = 0;
+    const client = createClient({ timezone: 'Europe/Berlin' }, async () => {
+      requests++;
+      return { data: {} };
+    });
+
+    await expect(client.getTimezone()).resolves.toBe('Europe/Berlin');
+    expect(requests).toBe(0);
+  });
+
+  test('detects the timezone once and caches it', async () => {
+    let requests = 0;
+    const client = createClient({}, async () => {
+      requests++;
+      return { data: { timezone_string: 'America/New_York', gmt_offset: -5 } };
+    });
+
+    await expect(client.getTimezone()).resolves.toBe('America/New_York');
+    await expect(client.getTimezone()).resolves.toBe('America/New_York');
+    expect(requests).toBe(1);
+  });
+
+  test('falls back to the fixed gmt_offset', async () => {
+    const client = createClient({}, async () => ({ data: { timezone_string: '', gmt_offset: '5.5' } }));
+
+    await expect(client.getTimezone()).resolves.toBe('+05:30');
+  });
+
+  test('fails instead of assuming UTC when the index cannot be reached', async () => {
+    const client = createClient({}, async () => {
+      throw networkError();
+    });
+
+    await expect(client.getTimezone()).rejects.toThrow('Timezone detection failed for store shop');
+    expect(client.timeZone).toBeNull();
+  });
+
+  test('fails when the index has no timezone', async () => {
+    const client = createClient({}, async () => ({ data: { name: 'Shop' } }));
+
+    await expect(client.getTimezone()).rejects.toThrow('no timezone_string or gmt_offset');
+  });
+
+  test('fails while the circuit breaker is open and retries detection later', async () => {
+    let reachable = false;
+    const client = createClient({ circuitBreakerResetTimeout: 60000 }, async () => {
+      if (!reachable) {
+        throw networkError();
+      }
+      return { data: { timezone_string: 'Asia/Tokyo' } };
+    });
+
+    await expect(client.getTimezone()).rejects.toThrow('ECONNREFUSED');
+    reachable = true;
+    await expect(client.getTimezone()).rejects.toThrow('Circuit breaker open');
+
+    client.circuitBreaker.recordSuccess();
+    await expect(client.getTimezone()).resolves.toBe('Asia/Tokyo');
+  });
+});
+
+describe('getAll', () => {
+  /**
+   * Serve pages of one item each, reporting the given total page count
+   * @param {WooCommerceClient} client - Client to stub
+   * @param {number} totalPages - Value of the X-WP-TotalPages header
+   */
+  const servePages = (client, totalPages) => {
+    client.getPage = async (endpoint, params) => ({ items: [{ id: params.page }], total: totalPages, totalPages });
+  };
+
+  test('stops at the page limit and records the endpoint as truncated', async () => {
+    const client = createClient();
+    servePages(client, 5);
+
+    const items = await client.getAll('products', {}, { maxPages: 3 });
+
+    expect(items.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(client.isTruncated('products')).toBe(true);
+  });
+
+  test('clears the truncation once every page was fetched', async () => {
+    const client = createClient();
+    servePages(client, 5);
+    await client.getAll('products', {}, { maxPages: 3 });
+
+    servePages(client, 3);
+    await client.getAll('products', {}, { maxPages: 3 });
+
+    expect(client.isTruncated('products')).toBe(false);
+  });
+});
+
+describe('getProductsById', () => {
+  test('looks up products in batches of 100 IDs', async () => {
+    const client = createClient();
+    const requests = [];
+    client.getPage = async (endpoint, params) => {
+      requests.push(params.include.split(',').length);
+      return { items: params.include.split(',').map(id => ({ id: parseInt(id) })), total: null, totalPages: null };
+    };
+
+    const products = await client.getProductsById(Array.from({ length: 150 }, (_, index) => index + 1));
+
+    expect(requests).toEqual([100, 50]);
+    expect(products).toHaveLength(150);
+  });
+});
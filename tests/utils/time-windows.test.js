@@ -0,0 +1,114 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  PERIODS,
+  isValidTimeZone,
+  offsetFromHours,
+  getLocalDate,
+  formatLocalDate,
+  createPeriodMatcher
+} from '../../src/utils/time-windows.js';
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names and UTC offsets', () => {
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('+05:30')).toBe(true);
+    expect(isValidTimeZone('-0800')).toBe(true);
+  });
+
+  test('rejects unknown names and malformed offsets', () => {
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('05:30')).toBe(false);
+    expect(isValidTimeZone('+5:30')).toBe(false);
+  });
+});
+
+describe('offsetFromHours', () => {
+  test('formats whole and fractional WordPress offsets', () => {
+    expect(offsetFromHours(0)).toBe('+00:00');
+    expect(offsetFromHours(2)).toBe('+02:00');
+    expect(offsetFromHours(5.5)).toBe('+05:30');
+    expect(offsetFromHours(5.75)).toBe('+05:45');
+    expect(offsetFromHours(-9.5)).toBe('-09:30');
+  });
+});
+
+describe('getLocalDate', () => {
+  test('shifts by fixed offsets across the date line', () => {
+    expect(formatLocalDate(Date.UTC(2024, 0, 1, 20, 0), '+05:30')).toBe('2024-01-02');
+    expect(formatLocalDate(Date.UTC(2024, 0, 1, 5, 0), '-08:00')).toBe('2023-12-31');
+  });
+
+  test('follows daylight saving time in IANA timezones', () => {
+    // US clocks moved forward on 2024-03-10 at 02:00 local time (07:00 UTC)
+    expect(formatLocalDate(Date.UTC(2024, 2, 10, 4, 30), 'America/New_York')).toBe('2024-03-09');
+    expect(formatLocalDate(Date.UTC(2024, 2, 11, 3, 30), 'America/New_York')).toBe('2024-03-10');
+    expect(formatLocalDate(Date.UTC(2024, 2, 11, 4, 30), 'America/New_York')).toBe('2024-03-11');
+  });
+
+  test('returns the weekday and days since the epoch', () => {
+    const date = getLocalDate(Date.UTC(2024, 2, 13, 12, 0));
+
+    expect(date).toEqual({ year: 2024, month: 3, day: 13, dayNumber: 19795, weekday: 3 });
+  });
+});
+
+describe('createPeriodMatcher', () => {
+  // Wednesday 2024-03-13, so the week started on Monday 2024-03-11
+  const now = Date.UTC(2024, 2, 13, 12, 0);
+  const matches = createPeriodMatcher('UTC', now);
+
+  test('matches every period for today', () => {
+    expect(matches(Date.UTC(2024, 2, 13, 0, 0))).toEqual([
+      'today', 'last_7_days', 'last_30_days', 'this_week', 'this_month', 'this_year'
+    ]);
+  });
+
+  test('matches yesterday within the same week', () => {
+    expect(matches(Date.UTC(2024, 2, 12, 23, 59))).toEqual([
+      'yesterday', 'last_7_days', 'last_30_days', 'this_week', 'this_month', 'this_year'
+    ]);
+  });
+
+  test('starts weeks on Monday', () => {
+    expect(matches(Date.UTC(2024, 2, 11, 0, 0))).toContain('this_week');
+    expect(matches(Date.UTC(2024, 2, 10, 23, 59))).not.toContain('this_week');
+  });
+
+  test('uses calendar days for the rolling windows', () => {
+    expect(matches(Date.UTC(2024, 2, 7, 0, 0))).toContain('last_7_days');
+    expect(matches(Date.UTC(2024, 2, 6, 23, 59))).not.toContain('last_7_days');
+    expect(matches(Date.UTC(2024, 1, 13, 0, 0))).toEqual(['last_30_days', 'this_year']);
+    expect(matches(Date.UTC(2024, 1, 12, 23, 59))).toEqual(['this_year']);
+  });
+
+  test('matches nothing for last year, future and missing timestamps', () => {
+    expect(matches(Date.UTC(2023, 11, 31, 23, 59))).toEqual([]);
+    expect(matches(Date.UTC(2024, 2, 14, 0, 0))).toEqual([]);
+    expect(matches(null)).toEqual([]);
+    expect(matches(NaN)).toEqual([]);
+  });
+
+  test('keeps this_week across a month boundary', () => {
+    // Friday 2024-03-01, so the week started on Monday 2024-02-26
+    const matchesMarch = createPeriodMatcher('UTC', Date.UTC(2024, 2, 1, 12, 0));
+
+    expect(matchesMarch(Date.UTC(2024, 1, 29, 12, 0))).toEqual([
+      'yesterday', 'last_7_days', 'last_30_days', 'this_week', 'this_year'
+    ]);
+  });
+
+  test('uses the store\'s calendar day rather than UTC', () => {
+    // 23:30 UTC is already 08:30 the next day in Tokyo
+    const lateNow = Date.UTC(2024, 2, 13, 23, 30);
+    const order = Date.UTC(2024, 2, 13, 10, 0);
+
+    expect(createPeriodMatcher('UTC', lateNow)(order)).toContain('today');
+    expect(createPeriodMatcher('Asia/Tokyo', lateNow)(order)).toContain('yesterday');
+    expect(createPeriodMatcher('+09:00', lateNow)(order)).toContain('yesterday');
+  });
+
+  test('only returns known periods', () => {
+    expect(PERIODS).toEqual(expect.arrayContaining(matches(now)));
+  });
+});